@@ -0,0 +1,18 @@
+// Image sequence builder: turns the selected image cards into one frame-sequence card (see core/animation.js).
+
+function buildSequence() {
+    const images = files
+        .filter(f => f.selected && f.type === 'image')
+        .sort((a, b) => a.file.name.localeCompare(b.file.name, undefined, { numeric: true }));
+    if (images.length < 2) return showToast("Select at least two images to build a sequence", true);
+
+    const first = images[0];
+    const v = first.info && first.info.video;
+    const id = Math.random().toString(36).substr(2, 9);
+    const f = sequenceEntry(id, first.file, images.map(x => x.file), 24, v && v.width, v && v.height, v ? v.codec : 'image');
+    f.label = `${first.file.name} … ${images[images.length - 1].file.name} (${images.length} frames)`;
+
+    renderPending(id, first.file);
+    files.push(f);
+    renderCard(f);
+}
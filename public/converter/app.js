@@ -1,18 +1,3 @@
-const { createFFmpeg, fetchFile } = FFmpeg;
-let ffmpeg = null;
-
-const FORMATS = {
-    video: ['mp4', 'webm', 'avi', 'mov', 'mkv', 'gif', 'mp3'],
-    audio: ['mp3', 'wav', 'aac', 'ogg', 'm4a'],
-    image: ['jpg', 'png', 'webp', 'bmp', 'ico']
-};
-
-const DEFAULTS = {
-    video: { res: 'original', fps: 'original', audio: 'keep', qual: 'medium' },
-    audio: { bitrate: '128k', channels: 'original' },
-    image: { scale: '100', qual: '90', gray: 'no' }
-};
-
 let files = [];
 
 const dom = {
@@ -21,20 +6,47 @@ const dom = {
     empty: document.getElementById('empty-state'),
     status: document.getElementById('engine-status'),
     convertBtn: document.getElementById('convert-all-btn'),
-    downloadAllBtn: document.getElementById('download-all-btn')
+    downloadAllBtn: document.getElementById('download-all-btn'),
+    poolLimit: document.getElementById('pool-limit'),
+    presetSelect: document.getElementById('preset-select')
 };
 
-async function initFFmpeg() {
-    try {
-        ffmpeg = createFFmpeg({ log: false });
-        await ffmpeg.load();
-        dom.status.className = "flex items-center gap-2 text-xs font-semibold text-emerald-600 bg-emerald-50 px-3 py-1.5 rounded-full border border-emerald-200";
-        dom.status.innerHTML = `<span class="w-2 h-2 rounded-full bg-emerald-500"></span> Engine Ready`;
-    } catch (e) {
-        console.error("FFmpeg error:", e);
+const ENGINE_STYLES = {
+    loading: ["text-orange-500 bg-orange-50 border-orange-200", "bg-orange-500 animate-pulse", "Loading Engine..."],
+    ready: ["text-emerald-600 bg-emerald-50 border-emerald-200", "bg-emerald-500", "Engine Ready"],
+    error: ["text-red-600 bg-red-50 border-red-200", "bg-red-500", "Engine Error"]
+};
+
+function setEngineStatus(state, message) {
+    const [colors, dot, label] = ENGINE_STYLES[state];
+    dom.status.className = `flex items-center gap-2 text-xs font-semibold px-3 py-1.5 rounded-full border ${colors}`;
+    dom.status.innerHTML = `<span class="w-2 h-2 rounded-full ${dot}"></span> ${label}`;
+    dom.status.title = message || '';
+    if (state === 'error') {
+        console.error("FFmpeg error:", message);
+        dom.status.innerHTML += ` <button onclick="retryEngine()" class="ml-1 underline hover:text-red-800">Retry</button>`;
     }
 }
-initFFmpeg();
+
+function retryEngine() {
+    setEngineStatus('loading');
+    warmPool();
+}
+
+function changePoolLimit(n) {
+    setPoolLimit(n);
+    localStorage.setItem('poolLimit', n);
+}
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('sw.js').catch(e => console.error("Service worker error:", e));
+}
+onEngineStatus(setEngineStatus);
+setPoolLimit(Number(localStorage.getItem('poolLimit')) || pool.limit);
+warmPool();
+if (window.showDirectoryPicker) document.getElementById('output-dir-btn').classList.remove('hidden');
+dom.poolLimit.value = String(pool.limit);
+renderPresetControls();
 
 ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eName => {
     dom.dropZone.addEventListener(eName, e => { e.preventDefault(); e.stopPropagation(); });
@@ -47,171 +59,353 @@ dom.dropZone.addEventListener('drop', (e) => {
 });
 document.getElementById('file-upload').addEventListener('change', (e) => handleFiles(e.target.files));
 
-function getType(file) {
-    if (file.type.startsWith('video/') || ['mkv','avi','mov'].some(x => file.name.endsWith(x))) return 'video';
-    if (file.type.startsWith('audio/')) return 'audio';
-    if (file.type.startsWith('image/')) return 'image';
-    return 'unknown';
-}
-
 function handleFiles(fileList) {
     if (!fileList.length) return;
-    Array.from(fileList).forEach(file => {
-        const type = getType(file);
-        if (type === 'unknown') return showToast(`Format non supporté: ${file.name}`, true);
+    Array.from(fileList).forEach(file => addFile(file));
+}
 
-        dom.empty.style.display = 'none';
-        dom.fileList.classList.remove('hidden');
-        dom.convertBtn.disabled = false;
-        dom.convertBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+async function addFile(file) {
+    const id = Math.random().toString(36).substr(2, 9);
+    dom.empty.style.display = 'none';
+    dom.fileList.classList.remove('hidden');
+    renderPending(id, file);
 
-        const id = Math.random().toString(36).substr(2, 9);
-        const defaultTarget = type === 'video' ? 'mp4' : (type === 'audio' ? 'mp3' : 'png');
-        const settings = JSON.parse(JSON.stringify(DEFAULTS[type]));
+    let f;
+    try {
+        f = await createEntry(file, id);
+    } catch (e) {
+        console.error(e);
+        document.getElementById(`card-${id}`).remove();
+        return showToast(e.message, true);
+    }
 
-        files.push({ id, file, type, target: defaultTarget, settings, status: 'idle', resultBlob: null });
-        renderCard(id, file, type, defaultTarget);
-    });
+    dom.convertBtn.disabled = false;
+    dom.convertBtn.classList.remove('opacity-50', 'cursor-not-allowed');
+
+    const preset = findPreset(getDefaultPreset(f.type));
+    if (preset) applyPresetValues(f, preset);
+    applyUrlOptions(f);
+
+    files.push(f);
+    renderCard(f);
+}
+
+// Query string presets (?preset=discord-mp4, ?target=webm&res=720) apply to every added file they fit;
+// parameters a file cannot use are ignored for it.
+const urlOptions = Object.fromEntries(new URLSearchParams(location.search));
+
+function applyUrlOptions(f) {
+    const { preset, ...options } = urlOptions;
+    const p = preset && findPreset(preset);
+    if (p && p.type === f.type) applyPresetValues(f, p);
+    applySettings(f, options);
+}
+
+function renderPending(id, file) {
+    const div = document.createElement('div');
+    div.id = `card-${id}`;
+    div.className = "bg-white p-5 rounded-xl border border-slate-200 shadow-sm flex items-center gap-4 fade-in";
+    div.innerHTML = `
+        <div class="w-12 h-12 bg-slate-100 text-slate-400 rounded-xl flex items-center justify-center text-2xl flex-shrink-0"><span class="spin inline-block">↻</span></div>
+        <div class="flex-1 min-w-0">
+            <h4 class="font-bold text-slate-800 truncate">${file.name}</h4>
+            <p class="text-xs text-slate-500 font-medium">${(file.size / 1024 / 1024).toFixed(2)} MB • Inspecting...</p>
+        </div>
+    `;
+    dom.fileList.appendChild(div);
 }
 
-function renderCard(id, file, type, defaultTarget) {
+function renderCard(f) {
+    const { id, file, type } = f;
     const div = document.createElement('div');
     div.id = `card-${id}`;
     div.className = "bg-white p-5 rounded-xl border border-slate-200 shadow-sm flex flex-col items-start gap-4 fade-in relative group";
     
     const iconMap = { video: '🎬', audio: '🎵', image: '🖼️' };
-    const fmtOpts = FORMATS[type].map(f => `<option value="${f}" ${f === defaultTarget ? 'selected' : ''}>${f.toUpperCase()}</option>`).join('');
-
-    let settingsHTML = '';
-    if (type === 'video') {
-        settingsHTML = `
-            <select onchange="updateSet('${id}', 'res', this.value)" class="opt-input"><option value="original">Orig Res</option><option value="1080">1080p</option><option value="720">720p</option></select>
-            <select onchange="updateSet('${id}', 'qual', this.value)" class="opt-input"><option value="medium">Med Quality</option><option value="high">High Quality</option><option value="low">Low Quality</option></select>
-        `;
-    } else if (type === 'image') {
-        settingsHTML = `
-            <select onchange="updateSet('${id}', 'scale', this.value)" class="opt-input"><option value="100">100% Size</option><option value="50">50% Size</option></select>
-            <select onchange="updateSet('${id}', 'qual', this.value)" class="opt-input"><option value="90">High Qual</option><option value="70">Med Qual</option></select>
-        `;
-    }
+    const bytes = inputBytes(f);
 
     div.innerHTML = `
         <div class="flex items-center gap-4 w-full">
+            <input type="checkbox" onchange="toggleSelect('${id}', this.checked)" ${f.selected ? 'checked' : ''} class="select-box w-4 h-4 accent-indigo-500 flex-shrink-0" title="Select for batch presets">
             <div class="w-12 h-12 bg-indigo-50 text-iri rounded-xl flex items-center justify-center text-2xl flex-shrink-0">${iconMap[type]}</div>
             <div class="flex-1 min-w-0">
-                <h4 class="font-bold text-slate-800 truncate">${file.name}</h4>
-                <p class="text-xs text-slate-500 font-medium">${(file.size / 1024 / 1024).toFixed(2)} MB • ${type.toUpperCase()}</p>
+                <h4 class="font-bold text-slate-800 truncate">${f.label || file.name}</h4>
+                <p class="text-xs text-slate-500 font-medium">${(bytes / 1024 / 1024).toFixed(2)} MB • ${f.animated ? 'ANIMATION' : type.toUpperCase()}</p>
+                ${f.info ? `<p class="text-[11px] text-slate-400 font-medium truncate">${describeInfo(f.info)}</p>` : ''}
             </div>
+            <span id="est-${id}" class="text-xs font-bold text-iri whitespace-nowrap"></span>
+            <button onclick="saveCardPreset('${id}')" class="text-slate-300 hover:text-iri p-2 text-lg" title="Save settings as preset">★</button>
             <button onclick="removeFile('${id}')" class="text-slate-300 hover:text-red-500 p-2 text-xl">&times;</button>
         </div>
-        <div class="w-full bg-slate-50 p-3 rounded-lg border border-slate-100 grid grid-cols-2 md:grid-cols-4 gap-2">
-            <div class="flex flex-col col-span-1">
-                <label class="text-[10px] text-slate-400 font-bold uppercase mb-1">Target</label>
-                <select onchange="updateTarget('${id}', this.value)" class="opt-input font-bold text-iri">${fmtOpts}</select>
-            </div>
-            ${settingsHTML}
+        <div id="opts-${id}" class="w-full bg-slate-50 p-3 rounded-lg border border-slate-100 grid grid-cols-2 md:grid-cols-4 gap-2">
+            ${optionsHTML(f)}
         </div>
-        <div id="action-${id}" class="w-full">
-            <div class="w-full bg-slate-200 rounded-full h-1.5 hidden mt-2" id="prog-bg-${id}">
-                <div class="bg-iri h-1.5 rounded-full transition-all duration-300" style="width: 0%" id="prog-bar-${id}"></div>
-            </div>
-            <div id="status-${id}" class="text-xs font-bold text-slate-400 mt-1 text-right h-4"></div>
+        ${f.parts ? '' : editorHTML(f)}
+        <div id="action-${id}" class="w-full">${actionHTML(id)}</div>
+    `;
+    document.getElementById(`card-${id}`).replaceWith(div);
+    if (!f.parts) initEditor(id);
+    refreshEstimate(f);
+}
+
+function actionHTML(id) {
+    return `
+        <div class="w-full bg-slate-200 rounded-full h-1.5 hidden mt-2" id="prog-bg-${id}">
+            <div class="bg-iri h-1.5 rounded-full transition-all duration-300" style="width: 0%" id="prog-bar-${id}"></div>
+        </div>
+        <div class="flex items-center gap-2 mt-1 min-h-[1.25rem]">
+            <span id="state-${id}" class="hidden text-[10px] font-bold uppercase px-2 py-0.5 rounded-full"></span>
+            <div id="status-${id}" class="flex-1 min-w-0 text-xs font-bold text-slate-400 text-right truncate"></div>
+            <button id="cancel-${id}" onclick="cancelFile('${id}')" class="hidden text-xs font-bold text-slate-500 hover:text-red-500">Cancel</button>
+            <button id="retry-${id}" onclick="retryFile('${id}')" class="hidden text-xs font-bold text-iri hover:underline">Retry</button>
         </div>
     `;
-    dom.fileList.appendChild(div);
 }
 
-function updateTarget(id, val) { files.find(x => x.id === id).target = val; }
-function updateSet(id, key, val) { files.find(x => x.id === id).settings[key] = val; }
+function optionsHTML(f) {
+    const { id, type } = f;
+    const targets = FORMATS[type].filter(t => allowsTarget(f, t));
+    if (!targets.includes(f.target)) f.target = targets[0];
+    const fmtOpts = targets.map(t => `<option value="${t}" ${t === f.target ? 'selected' : ''}>${t.toUpperCase()}</option>`).join('');
+
+    const settingsHTML = optionKeys(f).map(key => {
+        const opts = optionsFor(f, key).map(([value, label]) => `<option value="${value}" ${value === f.settings[key] ? 'selected' : ''}>${label}</option>`).join('');
+        return `<select onchange="updateSet('${id}', '${key}', this.value)" class="opt-input">${opts}</select>`;
+    }).join('');
+    const frameRateHTML = !f.frames ? '' : `<input type="number" min="1" max="60" value="${f.settings.frameRate}" title="Frame rate of the image sequence" onchange="updateSet('${id}', 'frameRate', this.value)" class="opt-input">`;
+    const sizeHTML = !sizable(f) ? '' : `<input type="number" min="0" step="0.1" value="${f.settings.size}" placeholder="Max size (MB)" title="Target file size in MB, encoded in two passes" onchange="updateSet('${id}', 'size', this.value)" class="opt-input">`;
+    const fitHTML = type !== 'image' || f.settings.fit === 'none' ? '' : ['fitW', 'fitH'].map(key => `<input type="number" min="1" value="${f.settings[key]}" placeholder="${key === 'fitW' ? 'Width' : 'Height'} (px)" onchange="updateSet('${id}', '${key}', this.value)" class="opt-input">`).join('');
+    // Flattening to an opaque format (or letterboxing) needs a fill colour.
+    const bgHTML = type !== 'image' || !(['jpg', 'bmp'].includes(f.target) || f.settings.fit === 'contain') ? '' : `<input type="color" value="${f.settings.bg}" title="Background colour" onchange="updateSet('${id}', 'bg', this.value)" class="opt-input h-full">`;
+
+    return `
+        <div class="flex flex-col col-span-1">
+            <label class="text-[10px] text-slate-400 font-bold uppercase mb-1">Target</label>
+            <select onchange="updateTarget('${id}', this.value)" class="opt-input font-bold text-iri">${fmtOpts}</select>
+        </div>
+        ${frameRateHTML}
+        ${streamHTML(f)}
+        ${settingsHTML}
+        ${fitHTML}
+        ${bgHTML}
+        ${sizeHTML}
+    `;
+}
+
+function refreshOptions(f) {
+    document.getElementById(`opts-${f.id}`).innerHTML = optionsHTML(f);
+    refreshEstimate(f);
+}
+
+function refreshEstimate(f) {
+    const el = document.getElementById(`est-${f.id}`);
+    if (!el) return;
+    const bytes = estimateSize(f);
+    el.innerText = bytes ? `≈ ${(bytes / 1024 / 1024).toFixed(2)} MB` : '';
+}
+
+function toggleSelect(id, checked) { files.find(x => x.id === id).selected = checked; }
+function selectAll(checked) {
+    files.forEach(f => { f.selected = checked; });
+    dom.fileList.querySelectorAll('.select-box').forEach(el => { el.checked = checked; });
+}
+
+function updateTarget(id, val) {
+    const f = files.find(x => x.id === id);
+    setTarget(f, val);
+    refreshOptions(f);
+}
+function updateSet(id, key, val) {
+    const f = files.find(x => x.id === id);
+    f.settings[key] = val;
+    if (key === 'orient') applyOrientation(f);
+    if (key === 'fit' || key === 'split') refreshOptions(f);
+    else refreshEstimate(f);
+}
 function removeFile(id) {
+    const f = files.find(x => x.id === id);
+    if (f.job) cancelJob(f.job);
+    if (f.previewUrl) URL.revokeObjectURL(f.previewUrl);
+    releaseResults(f);
     files = files.filter(f => f.id !== id);
     document.getElementById(`card-${id}`).remove();
     checkIfAllDone();
 }
 
+const STATE_STYLES = {
+    queued: 'bg-slate-100 text-slate-500',
+    running: 'bg-indigo-50 text-iri',
+    done: 'bg-emerald-50 text-emerald-600',
+    failed: 'bg-red-50 text-red-600',
+    cancelled: 'bg-amber-50 text-amber-600'
+};
+
+function setState(f, state, message = '') {
+    f.status = state;
+    const badge = document.getElementById(`state-${f.id}`);
+    if (!badge) return;
+    badge.className = `text-[10px] font-bold uppercase px-2 py-0.5 rounded-full ${STATE_STYLES[state]}`;
+    badge.innerText = state;
+
+    const stat = document.getElementById(`status-${f.id}`);
+    stat.innerText = message;
+    stat.title = message;
+    stat.classList.toggle('text-red-500', state === 'failed');
+    document.getElementById(`cancel-${f.id}`).classList.toggle('hidden', state !== 'queued' && state !== 'running');
+    document.getElementById(`retry-${f.id}`).classList.toggle('hidden', state !== 'failed' && state !== 'cancelled');
+}
+
+function cancelFile(id) {
+    const f = files.find(x => x.id === id);
+    if (f.job) cancelJob(f.job);
+}
+
+async function retryFile(id) {
+    const f = files.find(x => x.id === id);
+    if (!confirmMemory([f]).length) return;
+    await processFile(f);
+    checkIfAllDone();
+}
+
 async function convertAll() {
-    if(!ffmpeg) return alert("Engine loading...");
     dom.convertBtn.disabled = true;
     dom.convertBtn.innerHTML = `<span class="spin inline-block mr-2">↻</span> Processing...`;
 
-    for (const f of files) {
-        if (f.status === 'done') continue;
-        await processFile(f);
-    }
+    const pending = confirmMemory(files.filter(f => f.status !== 'done' && !f.job));
+    await Promise.all(pending.map(f => processFile(f)));
+
     dom.convertBtn.disabled = false;
     dom.convertBtn.innerHTML = "Convert All";
     checkIfAllDone();
 }
 
+function releaseResults(f) {
+    (f.results || []).forEach(r => URL.revokeObjectURL(r.url));
+    f.results = [];
+}
+
 async function processFile(f) {
+    releaseResults(f);
+
+    const act = document.getElementById(`action-${f.id}`);
+    act.innerHTML = actionHTML(f.id);
     const els = {
         bg: document.getElementById(`prog-bg-${f.id}`),
-        bar: document.getElementById(`prog-bar-${f.id}`),
-        stat: document.getElementById(`status-${f.id}`),
-        act: document.getElementById(`action-${f.id}`)
+        bar: document.getElementById(`prog-bar-${f.id}`)
     };
-
     els.bg.classList.remove('hidden');
-    els.stat.innerText = "Converting...";
+    const onProgress = ratio => { els.bar.style.width = `${Math.max(5, ratio * 100)}%`; };
 
     try {
-        const inName = `in_${f.id}.${f.file.name.split('.').pop()}`;
-        const outName = `out_${f.id}.${f.target}`;
-        
-        ffmpeg.FS('writeFile', inName, await fetchFile(f.file));
-        
-        ffmpeg.setProgress(({ ratio }) => {
-            els.bar.style.width = `${Math.max(5, ratio * 100)}%`;
-        });
-
-        let args = ['-i', inName];
-        if (f.type === 'video') {
-            if (f.settings.res !== 'original') args.push('-vf', `scale=-2:${f.settings.res}`);
-            const crf = { high: '18', medium: '28', low: '35' }[f.settings.qual];
-            args.push('-crf', crf);
-        }
-        args.push(outName);
+        const results = await runConversion(f, { onState: (state, message) => setState(f, state, message), onProgress });
+        f.resultSize = results.reduce((sum, r) => sum + r.blob.size, 0);
 
-        await ffmpeg.run(...args);
+        // With an output folder the result goes straight to disk and is not kept in memory.
+        if (outputDir) {
+            setState(f, 'running', `Saving to ${outputDir.name}...`);
+            for (const r of results) await saveToDir(r.name, r.blob);
+            setState(f, 'done', results.length > 1 ? `${results.length} files saved to ${outputDir.name}` : `Saved to ${outputDir.name}/${results[0].name}`);
+            els.bg.classList.add('hidden');
+            act.insertAdjacentHTML('beforeend', oversizeHTML(f));
+            return;
+        }
 
-        const data = ffmpeg.FS('readFile', outName);
-        f.resultBlob = new Blob([data.buffer], { type: `${f.type}/${f.target}` });
-        f.status = 'done';
-        
-        const url = URL.createObjectURL(f.resultBlob);
-        els.act.innerHTML = `
-            <a href="${url}" download="converted_${f.file.name.split('.')[0]}.${f.target}" class="mt-2 w-full bg-emerald-500 hover:bg-emerald-600 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-sm transition-all flex items-center justify-center gap-2">
+        f.results = results.map(r => ({ ...r, url: URL.createObjectURL(r.blob) }));
+        setState(f, 'done');
+        if (f.results.length > 1) {
+            act.innerHTML = `
+                <div class="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2">
+                    ${f.results.map(r => `<a href="${r.url}" download="${r.name}" class="bg-emerald-500 hover:bg-emerald-600 text-white text-xs font-bold py-2 px-3 rounded-lg shadow-sm text-center truncate" title="${r.name}">⬇ ${r.name}</a>`).join('')}
+                </div>
+            `;
+            return;
+        }
+        act.innerHTML = `
+            <a href="${f.results[0].url}" download="${f.results[0].name}" class="mt-2 w-full bg-emerald-500 hover:bg-emerald-600 text-white text-sm font-bold py-2 px-4 rounded-lg shadow-sm transition-all flex items-center justify-center gap-2">
                 <span>⬇ Download</span>
             </a>
+            ${oversizeHTML(f)}
         `;
-        
-        ffmpeg.FS('unlink', inName);
-        ffmpeg.FS('unlink', outName);
     } catch (err) {
-        console.error(err);
-        els.stat.innerText = "Error";
+        els.bg.classList.add('hidden');
+        if (err.cancelled) {
+            setState(f, 'cancelled');
+        } else {
+            console.error(err);
+            setState(f, 'failed', err.message);
+        }
+    } finally {
+        f.job = null;
     }
 }
 
+function lowerResolution(f) {
+    const current = f.settings.res !== 'original' ? Number(f.settings.res) : (f.info && f.info.video ? f.info.video.height : Infinity);
+    const lower = OPTIONS.video.res.map(([value]) => Number(value)).filter(h => h < current);
+    return lower.length ? String(Math.max(...lower)) : null;
+}
+
+function oversizeHTML(f) {
+    const limit = Number(f.settings.size) * 1024 * 1024;
+    if (!limit || !sizable(f) || f.resultSize <= limit) return '';
+
+    const res = f.type === 'video' && f.target !== 'mp3' ? lowerResolution(f) : null;
+    return `
+        <div class="mt-2 flex items-center gap-2 text-xs font-bold text-amber-600 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+            <span class="flex-1">Result is ${(f.resultSize / 1024 / 1024).toFixed(2)} MB, over the ${f.settings.size} MB target.</span>
+            ${res ? `<button onclick="reencodeAt('${f.id}', '${res}')" class="text-iri hover:underline whitespace-nowrap">Re-encode at ${res}p</button>` : ''}
+        </div>
+    `;
+}
+
+async function reencodeAt(id, res) {
+    const f = files.find(x => x.id === id);
+    f.settings.res = res;
+    refreshOptions(f);
+    if (!confirmMemory([f]).length) return;
+    await processFile(f);
+    checkIfAllDone();
+}
+
 async function downloadAll() {
-    const doneFiles = files.filter(f => f.status === 'done' && f.resultBlob);
+    const doneFiles = files.filter(f => f.status === 'done' && f.results.length);
     if(doneFiles.length === 0) return;
     
     const zip = new JSZip();
     doneFiles.forEach(f => {
-        zip.file(`converted_${f.file.name.split('.')[0]}.${f.target}`, f.resultBlob);
+        f.results.forEach(r => zip.file(r.name, r.blob));
     });
     
+    // Stream the archive to disk when the browser lets us pick the destination file.
+    if (window.showSaveFilePicker) {
+        let handle;
+        try {
+            handle = await showSaveFilePicker({ suggestedName: "converted_files.zip", types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }] });
+        } catch (e) {
+            return;
+        }
+        try {
+            await streamZip(zip, await handle.createWritable());
+        } catch (e) {
+            console.error(e);
+            showToast(`ZIP export failed: ${e.message}`, true);
+        }
+        return;
+    }
+
+    if (await streamDownload(zip, "converted_files.zip")) return;
+
     const content = await zip.generateAsync({type:"blob"});
     const url = URL.createObjectURL(content);
     const link = document.createElement('a');
     link.href = url;
     link.download = "converted_files.zip";
     link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 function checkIfAllDone() {
-    if (files.some(f => f.status === 'done')) dom.downloadAllBtn.classList.remove('hidden');
+    if (files.some(f => f.status === 'done' && f.results.length)) dom.downloadAllBtn.classList.remove('hidden');
 }
 
 function showToast(msg, isError = false) {
@@ -0,0 +1,32 @@
+// Audio toolkit UI: track picker and joining cards (filters, splitting and concat live in core/audio.js).
+
+function streamLabel(st) {
+    return [`#${st.index}`, st.lang, st.codec.toUpperCase(), st.layout].filter(Boolean).join(' ');
+}
+
+// Track picker, shown only when there is more than one audio (or subtitle) stream to choose from.
+function streamHTML(f) {
+    const kind = SUB_TARGETS.includes(f.target) ? 'subtitle' : 'audio';
+    const list = streamsOf(f, kind);
+    if (f.parts || list.length < 2 || ANIM_TARGETS.includes(f.target)) return '';
+
+    const key = kind === 'audio' ? 'aStream' : 'sStream';
+    const current = chosenStream(f, kind);
+    const opts = list.map(st => `<option value="${st.index}" ${st.index === current ? 'selected' : ''}>${streamLabel(st)}</option>`).join('');
+    return `<select onchange="updateSet('${f.id}', '${key}', this.value)" class="opt-input" title="${kind === 'audio' ? 'Audio track' : 'Subtitle track'}">${opts}</select>`;
+}
+
+function joinSelected() {
+    const parts = files.filter(f => f.selected && !f.parts && !f.frames);
+    const type = parts.length ? parts[0].type : null;
+    if (parts.length < 2 || !['audio', 'video'].includes(type) || parts.some(p => p.type !== type)) {
+        return showToast("Select at least two audio files, or two video files, to join", true);
+    }
+
+    const id = Math.random().toString(36).substr(2, 9);
+    const f = joinEntry(id, parts);
+
+    renderPending(id, f.file);
+    files.push(f);
+    renderCard(f);
+}
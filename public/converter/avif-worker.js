@@ -0,0 +1,32 @@
+// Module worker encoding AVIF with libavif compiled to wasm (avif/, from @jsquash/avif), for browsers whose
+// canvas cannot encode AVIF. Started by encodeAvif() in core/imaging.js.
+import createEncoder from './avif/avif_enc.js';
+
+const encoder = createEncoder({ noInitialRun: true });
+
+// @jsquash/avif defaults; only the quality follows the image settings.
+const OPTIONS = {
+    qualityAlpha: -1,
+    denoiseLevel: 0,
+    tileColsLog2: 0,
+    tileRowsLog2: 0,
+    speed: 6,
+    subsample: 1,
+    chromaDeltaQ: false,
+    sharpness: 0,
+    tune: 0,
+    enableSharpYUV: false,
+    bitDepth: 8
+};
+
+// One image per worker: the page terminates it after the reply, or to cancel the encode.
+self.onmessage = async ({ data: { image, quality } }) => {
+    try {
+        const module = await encoder;
+        const bytes = module.encode(new Uint8Array(image.data.buffer), image.width, image.height, { ...OPTIONS, quality });
+        if (!bytes) throw new Error("AVIF encoding failed");
+        self.postMessage({ bytes }, [bytes.buffer]);
+    } catch (e) {
+        self.postMessage({ error: e.message || String(e) });
+    }
+};
@@ -0,0 +1,92 @@
+// Animated image inputs (GIF / animated WebP) and numbered image sequences, both converted as video.
+
+import { DEFAULTS } from './index.js';
+
+export async function detectAnimation(file) {
+    const head = new Uint8Array(await file.slice(0, 4 * 1024 * 1024).arrayBuffer());
+    const tag = (start, end) => String.fromCharCode(...head.subarray(start, end));
+
+    // Every GIF frame starts with a Graphic Control Extension (21 F9 04); more than one means animation.
+    if (tag(0, 4) === 'GIF8') {
+        let frames = 0;
+        for (let i = 0; i < head.length - 2; i++) {
+            if (head[i] === 0x21 && head[i + 1] === 0xF9 && head[i + 2] === 0x04 && ++frames > 1) return 'gif';
+        }
+        return null;
+    }
+    // Extended WebP with the animation flag set in the VP8X header.
+    if (tag(0, 4) === 'RIFF' && tag(8, 12) === 'WEBP' && tag(12, 16) === 'VP8X' && (head[20] & 0x02)) return 'webp';
+    return null;
+}
+
+// ffmpeg cannot decode animated WebP, so frames are composited by the browser and re-encoded as a PNG sequence.
+export async function decodeAnimatedWebP(file) {
+    if (typeof ImageDecoder === 'undefined') throw new Error("This browser cannot decode animated WebP");
+    const decoder = new ImageDecoder({ data: file.stream(), type: 'image/webp' });
+    await decoder.tracks.ready;
+
+    const count = decoder.tracks.selectedTrack.frameCount;
+    const canvas = new OffscreenCanvas(1, 1);
+    const ctx = canvas.getContext('2d');
+    const frames = [];
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+        const { image } = await decoder.decode({ frameIndex: i });
+        canvas.width = image.displayWidth;
+        canvas.height = image.displayHeight;
+        ctx.drawImage(image, 0, 0);
+        total += image.duration || 100000;
+        image.close();
+        frames.push(new File([await canvas.convertToBlob({ type: 'image/png' })], `frame_${i}.png`, { type: 'image/png' }));
+    }
+    decoder.close();
+
+    const fps = Math.max(1, Math.round(count * 1e6 / total));
+    return { frames, fps, width: canvas.width, height: canvas.height };
+}
+
+function sequenceInfo(frames, fps, width, height, codec) {
+    const video = { kind: 'video', codec, width, height, fps };
+    return { container: 'sequence', duration: frames.length / fps, bitrate: null, streams: [video], video, audio: null };
+}
+
+export function sequenceEntry(id, file, frames, fps, width, height, codec) {
+    const settings = JSON.parse(JSON.stringify(DEFAULTS.video));
+    settings.frameRate = String(fps);
+    // libx264/yuv420 need even dimensions; frames of other sizes are letterboxed into the first one.
+    if (width && height) settings.frameSize = { w: Math.ceil(width / 2) * 2, h: Math.ceil(height / 2) * 2 };
+    return {
+        id, file, type: 'video', animated: true, frames,
+        info: width ? sequenceInfo(frames, fps, width, height, codec) : null,
+        target: 'mp4', settings, status: 'idle', results: [], selected: false
+    };
+}
+
+async function toPng(file) {
+    const bitmap = await createImageBitmap(file);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return new File([await canvas.convertToBlob({ type: 'image/png' })], file.name.replace(/\.\w+$/, '.png'));
+}
+
+// Names the job inputs: a single file, the parts of a joined card, or numbered frames matched by an image2 pattern.
+export async function prepareInputs(f) {
+    if (f.parts) {
+        return { inName: null, inputs: f.parts.map((p, i) => ({ name: `join_${f.id}_${i}.${p.file.name.split('.').pop()}`, file: p.file })) };
+    }
+    if (!f.frames) {
+        const inName = `in_${f.id}.${f.file.name.split('.').pop()}`;
+        return { inName, inputs: [{ name: inName, file: f.file }] };
+    }
+
+    const ext = name => name.split('.').pop().toLowerCase();
+    const uniform = f.frames.every(fr => ext(fr.name) === ext(f.frames[0].name));
+    const frames = uniform ? f.frames : await Promise.all(f.frames.map(toPng));
+    const e = uniform ? ext(f.frames[0].name) : 'png';
+    return {
+        inName: `seq_${f.id}_%05d.${e}`,
+        inputs: frames.map((file, i) => ({ name: `seq_${f.id}_${String(i + 1).padStart(5, '0')}.${e}`, file }))
+    };
+}
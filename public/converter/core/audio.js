@@ -0,0 +1,236 @@
+// Audio toolkit: per-file audio filters, audio/subtitle stream picking, joining cards and splitting into chunks.
+
+import { runJob } from './pool.js';
+import { ANIM_TARGETS, DEFAULTS, SUB_TARGETS, VIDEO_CODECS, audioArgs, buildArgs, outputDuration, outputName, progressOf, report, splits, videoCodecArgs } from './index.js';
+
+export const SUB_CODECS = { srt: 'subrip', vtt: 'webvtt' };
+const SILENCE_DETECT = 'silencedetect=noise=-40dB:d=0.7';
+
+/* Streams */
+
+export function streamsOf(f, kind) {
+    return f.info ? f.info.streams.filter(st => st.kind === kind && !st.cover) : [];
+}
+
+export function chosenStream(f, kind) {
+    const list = streamsOf(f, kind);
+    const key = kind === 'audio' ? 'aStream' : 'sStream';
+    const pick = list.find(st => String(st.index) === String(f.settings[key]));
+    return (pick || list[0]).index;
+}
+
+export function streamMaps(f) {
+    if (SUB_TARGETS.includes(f.target)) return ['-map', `0:${chosenStream(f, 'subtitle')}`];
+    if (streamsOf(f, 'audio').length < 2 || ANIM_TARGETS.includes(f.target)) return [];
+
+    const audio = ['-map', `0:${chosenStream(f, 'audio')}`];
+    if (f.type === 'audio' || f.target === 'mp3') return audio;
+    return f.settings.audio === 'none' ? [] : ['-map', '0:v:0', ...audio];
+}
+
+/* Per-file audio filters */
+
+// Audio cards trim inside the filter chain rather than with -ss/-to, which ffmpeg applies after the
+// filters: a speed change would otherwise shift the cut points.
+function trimFilters(s) {
+    if (!(s.start > 0) && s.end == null) return [];
+    return [`atrim=start=${s.start || 0}${s.end != null ? `:end=${s.end}` : ''}`, 'asetpts=PTS-STARTPTS'];
+}
+
+function trimmedSpan(f) {
+    const s = f.settings;
+    const end = s.end == null ? f.info && f.info.duration : s.end;
+    return end ? end - (s.start || 0) : null;
+}
+
+// atempo only accepts factors between 0.5 and 2, larger changes are chained.
+function atempoChain(x) {
+    const chain = [];
+    while (x > 2) { chain.push('atempo=2'); x /= 2; }
+    while (x < 0.5) { chain.push('atempo=0.5'); x /= 0.5; }
+    if (Math.abs(x - 1) > 1e-6) chain.push(`atempo=${Number(x.toFixed(6))}`);
+    return chain;
+}
+
+export function audioFilterArgs(f) {
+    const s = f.settings;
+    const rate = (f.info && f.info.audio && f.info.audio.sampleRate) || 44100;
+    const filters = trimFilters(s);
+
+    if (Number(s.fadeIn)) filters.push(`afade=t=in:st=0:d=${s.fadeIn}`);
+    if (Number(s.fadeOut)) {
+        const span = trimmedSpan(f);
+        if (!span) throw new Error("Fade out needs a known duration");
+        filters.push(`afade=t=out:st=${Math.max(0, span - Number(s.fadeOut))}:d=${s.fadeOut}`);
+    }
+    // Pitch: resample to shift, then time-stretch back so only the speed setting changes the length.
+    const ratio = 2 ** (Number(s.pitch) / 12);
+    if (ratio !== 1) filters.push(`asetrate=${Math.round(rate * ratio)}`, `aresample=${rate}`);
+    filters.push(...atempoChain(Number(s.speed) / ratio));
+    // loudnorm upsamples to 192 kHz internally, so bring the rate back down afterwards.
+    if (s.norm !== 'off') filters.push(`loudnorm=I=${s.norm}:TP=-1.5:LRA=11`, `aresample=${rate}`);
+
+    return filters.length ? ['-af', filters.join(',')] : [];
+}
+
+/* Silence */
+
+export function needsSilenceScan(f) {
+    return (f.type === 'audio' && f.settings.silence === 'trim') || (splits(f) && f.settings.split === 'silence');
+}
+
+export async function detectSilence(f, prepared) {
+    if (!f.info || !f.info.audio) throw new Error("Silence detection needs an audio track");
+    const filters = [...trimFilters(f.settings), SILENCE_DETECT].join(',');
+
+    report(f, 'queued', 'Waiting for a free worker...');
+    f.job = runJob({
+        args: ['-i', prepared.inName, '-vn', '-af', filters, '-f', 'null', '-'],
+        inputs: prepared.inputs,
+        onStart: () => report(f, 'running', 'Detecting silence...')
+    });
+    const { log } = await f.job.promise;
+
+    const silences = [];
+    log.forEach(line => {
+        let m;
+        if ((m = line.match(/silence_start: (-?[\d.]+)/))) silences.push({ start: Math.max(0, Number(m[1])), end: null });
+        else if ((m = line.match(/silence_end: ([\d.]+)/)) && silences.length) silences[silences.length - 1].end = Number(m[1]);
+    });
+    return silences;
+}
+
+// Turns detected silences (relative to the trimmed range) into a new trim range and output-time split points.
+export function planSilence(f, silences) {
+    const s = f.settings;
+    const start = s.start || 0;
+    const span = trimmedSpan(f) || Infinity;
+    let lead = 0;
+    let tail = span;
+
+    if (f.type === 'audio' && s.silence === 'trim' && silences.length) {
+        const first = silences[0];
+        const last = silences[silences.length - 1];
+        if (first.start <= 0.05) {
+            if (first.end == null) throw new Error("The file contains only silence");
+            lead = first.end;
+        }
+        if (last.end == null || last.end >= span - 0.05) tail = last.start;
+    }
+
+    const speed = f.type === 'audio' ? Number(s.speed) : 1;
+    const points = silences
+        .filter(x => x.end != null && x.start > lead && x.end < tail)
+        .map(x => Number((((x.start + x.end) / 2 - lead) / speed).toFixed(3)));
+    return { start: start + lead, end: tail === span ? s.end : start + tail, points };
+}
+
+/* Split */
+
+// The segment muxer writes the chunks as `${prefix}000.<target>`, `${prefix}001.<target>`, and so on.
+export function splitArgs(f, inName, prefix, plan) {
+    const s = f.settings;
+    const job = plan ? { ...f, settings: { ...s, start: plan.start, end: plan.end } } : f;
+    const fixed = s.split !== 'silence';
+    const pattern = `${prefix}%03d.${f.target}`;
+    const times = fixed ? null : plan.points.join(',');
+    // Re-encoded video needs a keyframe at every cut, or chunks would start late.
+    const keyframes = f.type === 'video' && f.target !== 'mp3' ? ['-force_key_frames', fixed ? `expr:gte(t,n_forced*${s.split})` : times] : [];
+    return [
+        ...buildArgs(job, inName, pattern).slice(0, -1), ...keyframes,
+        '-f', 'segment', ...(fixed ? ['-segment_time', s.split] : ['-segment_times', times]), '-reset_timestamps', '1', pattern
+    ];
+}
+
+export async function splitFile(f, prepared, plan) {
+    const s = f.settings;
+    const job = plan ? { ...f, settings: { ...s, start: plan.start, end: plan.end } } : f;
+    if (s.split === 'silence' && !plan.points.length) throw new Error("No silence long enough to split at");
+
+    const prefix = `out_${f.id}_`;
+    const args = splitArgs(f, prepared.inName, prefix, plan);
+
+    report(f, 'queued', 'Waiting for a free worker...');
+    f.job = runJob({
+        args,
+        inputs: prepared.inputs,
+        collect: prefix,
+        duration: outputDuration(job),
+        onStart: () => report(f, 'running', 'Converting and splitting...'),
+        onProgress: progressOf(f)
+    });
+    const { outputs } = await f.job.promise;
+
+    const base = outputName(f).replace(/\.\w+$/, '');
+    return Object.keys(outputs).sort().map((name, i) => ({
+        name: `${base}_part${String(i + 1).padStart(2, '0')}.${f.target}`,
+        blob: new Blob([outputs[name]], { type: `${f.type}/${f.target}` })
+    }));
+}
+
+/* Join */
+
+function partDuration(p) {
+    const end = p.end == null ? p.info && p.info.duration : p.end;
+    return end ? end - (p.start || 0) : null;
+}
+
+// Builds the card for joined parts: the first part's streams and the summed trimmed duration.
+export function joinEntry(id, parts) {
+    const type = parts[0].type;
+    const first = parts[0].info || { streams: [], video: null };
+    const durations = parts.map(p => partDuration({ ...p.settings, info: p.info }));
+    const info = {
+        container: 'concat',
+        duration: durations.every(Boolean) ? durations.reduce((sum, d) => sum + d, 0) : null,
+        bitrate: null,
+        streams: first.streams,
+        video: first.video,
+        audio: parts.every(p => p.info && p.info.audio) ? first.audio : null
+    };
+    return {
+        id, file: parts[0].file, type, info,
+        parts: parts.map(p => ({ file: p.file, info: p.info, start: p.settings.start, end: p.settings.end })),
+        label: `${parts.map(p => p.file.name).join(' + ')} (${parts.length} parts)`,
+        target: type === 'video' ? 'mp4' : parts[0].target, settings: JSON.parse(JSON.stringify(DEFAULTS[type])),
+        status: 'idle', results: [], selected: false
+    };
+}
+
+function partTrim(p, video) {
+    if (!(p.start > 0) && p.end == null) return '';
+    const range = `start=${p.start || 0}${p.end != null ? `:end=${p.end}` : ''}`;
+    return video ? `trim=${range},setpts=PTS-STARTPTS,` : `atrim=${range},asetpts=PTS-STARTPTS,`;
+}
+
+// Parts rarely share codecs or sizes, so they are decoded, conformed to the first one and re-encoded
+// through the concat filter rather than joined as-is.
+export function concatArgs(f, inNames, outName) {
+    const s = f.settings;
+    const inputs = inNames.flatMap(name => ['-i', name]);
+    const layout = s.channels === '1' ? 'mono' : 'stereo';
+    const audioChain = (p, i) => `[${i}:a:0]${partTrim(p, false)}aresample=44100,aformat=channel_layouts=${layout}[a${i}]`;
+
+    if (f.type === 'audio') {
+        const graph = [...f.parts.map(audioChain), f.parts.map((p, i) => `[a${i}]`).join('') + `concat=n=${f.parts.length}:v=0:a=1[a]`].join(';');
+        return [...inputs, '-filter_complex', graph, '-map', '[a]', ...audioArgs(f.target, s.bitrate, 'original'), outName];
+    }
+
+    const v = f.info.video || { width: 1280, height: 720 };
+    const even = x => Math.round(x / 2) * 2;
+    const h = even(s.res !== 'original' ? Number(s.res) : v.height);
+    const w = even(v.width * h / v.height);
+    const fps = s.fps !== 'original' ? s.fps : Math.round(v.fps || 30);
+    const withAudio = !!f.info.audio && s.audio !== 'none';
+
+    const chains = f.parts.map((p, i) => {
+        const video = `[${i}:v:0]${partTrim(p, true)}scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`;
+        return withAudio ? `${video};${audioChain(p, i)}` : video;
+    });
+    const labels = f.parts.map((p, i) => withAudio ? `[v${i}][a${i}]` : `[v${i}]`).join('');
+    const graph = [...chains, `${labels}concat=n=${f.parts.length}:v=1:a=${withAudio ? 1 : 0}[v]${withAudio ? '[a]' : ''}`].join(';');
+
+    const codec = VIDEO_CODECS[f.target];
+    const audio = withAudio ? ['-map', '[a]', '-c:a', codec.a, '-b:a', /^\d+k$/.test(s.audio) ? s.audio : '128k'] : [];
+    return [...inputs, '-filter_complex', graph, '-map', '[v]', ...videoCodecArgs(codec, s, null), ...audio, outName];
+}
@@ -0,0 +1,297 @@
+// Image pipeline: decode, transform and encode through the browser's own codecs (createImageBitmap /
+// OffscreenCanvas), with ffmpeg as the fallback decoder or encoder for formats the browser lacks and libavif for AVIF.
+
+import '../jszip.js';
+import { runJob, runTask } from './pool.js';
+import { convertWithFFmpeg, imageEncoderArgs, report } from './index.js';
+
+const IMAGE_MIME = { jpg: 'image/jpeg', png: 'image/png', webp: 'image/webp', avif: 'image/avif' };
+const ALPHA_TARGETS = ['png', 'webp', 'avif', 'tiff', 'ico', 'favicon'];
+const ICO_SIZES = [16, 32, 48, 64, 128, 256];
+
+// Encoders vary per browser (no AVIF in most, no WebP in older Safari); filled in by detectImageEncoders().
+const imageCaps = { 'image/png': true, 'image/jpeg': true };
+
+const AVIF_WORKER_URL = new URL('../avif-worker.js', import.meta.url);
+
+export async function detectImageEncoders() {
+    if (typeof OffscreenCanvas === 'undefined') return;
+    for (const mime of ['image/webp', 'image/avif']) {
+        try {
+            const canvas = new OffscreenCanvas(1, 1);
+            canvas.getContext('2d');
+            imageCaps[mime] = (await canvas.convertToBlob({ type: mime })).type === mime;
+        } catch (e) {
+            imageCaps[mime] = false;
+        }
+    }
+}
+
+function isSvg(file) {
+    return file.type === 'image/svg+xml' || /\.svg$/i.test(file.name);
+}
+
+// SVG cannot go through createImageBitmap(Blob) in every browser, so it is rasterized through an <img>,
+// which only exists in a page.
+async function decodeImage(file, orient = 'yes') {
+    if (isSvg(file)) {
+        if (typeof Image === 'undefined') throw new Error("SVG can only be decoded in a page");
+        const url = URL.createObjectURL(file);
+        try {
+            const img = new Image();
+            img.src = url;
+            await img.decode();
+            const canvas = new OffscreenCanvas(img.naturalWidth || 1024, img.naturalHeight || 1024);
+            canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+            return canvas.transferToImageBitmap();
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+    return createImageBitmap(file, { imageOrientation: orient === 'yes' ? 'from-image' : 'none' });
+}
+
+// For inputs ffmpeg could not identify: accept them as images if the browser can decode them (SVG, AVIF, HEIC...).
+export async function browserImageInfo(file) {
+    if (typeof OffscreenCanvas === 'undefined') return null;
+    try {
+        const bitmap = await decodeImage(file);
+        const codec = isSvg(file) ? 'svg' : file.name.split('.').pop().toLowerCase();
+        const video = { kind: 'video', codec, width: bitmap.width, height: bitmap.height };
+        bitmap.close();
+        return { container: `${codec}_pipe`, duration: null, bitrate: null, streams: [video], video, audio: null };
+    } catch (e) {
+        return null;
+    }
+}
+
+function renderImage(src, s, target) {
+    const crop = s.crop || { x: 0, y: 0, w: src.width, h: src.height };
+    const quarter = s.rotate === '90' || s.rotate === '270';
+    const w = Math.max(1, Math.round(crop.w * s.scale / 100));
+    const h = Math.max(1, Math.round(crop.h * s.scale / 100));
+    const rw = quarter ? h : w;
+    const rh = quarter ? w : h;
+
+    let box = { cw: rw, ch: rh, dx: 0, dy: 0, dw: rw, dh: rh };
+    const fitW = Number(s.fitW);
+    const fitH = Number(s.fitH);
+    if (s.fit !== 'none' && fitW > 0 && fitH > 0) {
+        const k = (s.fit === 'contain' ? Math.min : Math.max)(fitW / rw, fitH / rh);
+        box = { cw: fitW, ch: fitH, dw: rw * k, dh: rh * k, dx: (fitW - rw * k) / 2, dy: (fitH - rh * k) / 2 };
+    }
+
+    const canvas = new OffscreenCanvas(box.cw, box.ch);
+    const ctx = canvas.getContext('2d');
+    if (!ALPHA_TARGETS.includes(target)) {
+        ctx.fillStyle = s.bg;
+        ctx.fillRect(0, 0, box.cw, box.ch);
+    }
+
+    // Same order as the ffmpeg chain: crop, flip, then rotate.
+    ctx.save();
+    ctx.translate(box.dx + box.dw / 2, box.dy + box.dh / 2);
+    ctx.rotate(Number(s.rotate) * Math.PI / 180);
+    ctx.scale(s.flip === 'h' ? -1 : 1, s.flip === 'v' ? -1 : 1);
+    const iw = quarter ? box.dh : box.dw;
+    const ih = quarter ? box.dw : box.dh;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(src, crop.x, crop.y, crop.w, crop.h, -iw / 2, -ih / 2, iw, ih);
+    ctx.restore();
+
+    if (s.gray === 'yes') {
+        const data = ctx.getImageData(0, 0, box.cw, box.ch);
+        const px = data.data;
+        for (let i = 0; i < px.length; i += 4) {
+            px[i] = px[i + 1] = px[i + 2] = Math.round(px[i] * 0.299 + px[i + 1] * 0.587 + px[i + 2] * 0.114);
+        }
+        ctx.putImageData(data, 0, 0);
+    }
+    return canvas;
+}
+
+async function pngRendition(canvas, size) {
+    const out = new OffscreenCanvas(size, size);
+    const k = Math.min(size / canvas.width, size / canvas.height);
+    const ctx = out.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(canvas, (size - canvas.width * k) / 2, (size - canvas.height * k) / 2, canvas.width * k, canvas.height * k);
+    return new Uint8Array(await (await out.convertToBlob({ type: 'image/png' })).arrayBuffer());
+}
+
+// ICO container holding one PNG-compressed entry per size (supported since Windows Vista).
+async function encodeIco(canvas, sizes) {
+    const images = await Promise.all(sizes.map(size => pngRendition(canvas, size)));
+    const header = new DataView(new ArrayBuffer(6 + 16 * sizes.length));
+    header.setUint16(2, 1, true);
+    header.setUint16(4, sizes.length, true);
+
+    let offset = header.byteLength;
+    sizes.forEach((size, i) => {
+        const entry = 6 + 16 * i;
+        header.setUint8(entry, size % 256);
+        header.setUint8(entry + 1, size % 256);
+        header.setUint16(entry + 4, 1, true);
+        header.setUint16(entry + 6, 32, true);
+        header.setUint32(entry + 8, images[i].length, true);
+        header.setUint32(entry + 12, offset, true);
+        offset += images[i].length;
+    });
+    return new Blob([header.buffer, ...images], { type: 'image/x-icon' });
+}
+
+async function encodeFaviconSet(canvas) {
+    const zip = new JSZip();
+    zip.file('favicon.ico', await encodeIco(canvas, [16, 32, 48]));
+    const pngs = { 'favicon-16x16.png': 16, 'favicon-32x32.png': 32, 'apple-touch-icon.png': 180, 'android-chrome-192x192.png': 192, 'android-chrome-512x512.png': 512 };
+    for (const [name, size] of Object.entries(pngs)) zip.file(name, await pngRendition(canvas, size));
+    return zip.generateAsync({ type: 'blob' });
+}
+
+// Canvases that cannot encode AVIF hand their pixels to libavif (avif-worker.js). Each image gets a worker of its
+// own, so encodes run side by side within the pool limit and cancelling one terminates it.
+function encodeAvif(canvas, quality, signal) {
+    const image = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const worker = new Worker(AVIF_WORKER_URL, { type: 'module' });
+    return new Promise((resolve, reject) => {
+        const stop = () => {
+            worker.terminate();
+            signal.removeEventListener('abort', cancel);
+        };
+        const cancel = () => {
+            stop();
+            reject(Object.assign(new Error('Cancelled'), { cancelled: true }));
+        };
+        signal.addEventListener('abort', cancel);
+        worker.onmessage = ({ data }) => {
+            stop();
+            if (data.error) reject(new Error(data.error));
+            else resolve(new Blob([data.bytes], { type: 'image/avif' }));
+        };
+        worker.onerror = (e) => {
+            stop();
+            reject(new Error(e.message || 'AVIF encoder failed to start'));
+        };
+        worker.postMessage({ image, quality }, [image.data.buffer]);
+    });
+}
+
+/* EXIF passthrough (JPEG to JPEG only; canvas output never carries metadata) */
+
+function findExifSegment(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+    let i = 2;
+    while (i + 4 <= bytes.length && bytes[i] === 0xFF && bytes[i + 1] !== 0xDA) {
+        const size = (bytes[i + 2] << 8) | bytes[i + 3];
+        if (bytes[i + 1] === 0xE1 && String.fromCharCode(...bytes.subarray(i + 4, i + 10)) === 'Exif\0\0') {
+            return bytes.slice(i, i + 2 + size);
+        }
+        i += 2 + size;
+    }
+    return null;
+}
+
+const EXIF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Rewrites the copied segment in place: orientation reset once pixels are upright, GPS IFD emptied if asked.
+function patchExif(segment, { resetOrientation, stripGps }) {
+    const tiff = 10;
+    const view = new DataView(segment.buffer, segment.byteOffset);
+    const le = view.getUint16(tiff) === 0x4949;
+    const ifd0 = tiff + view.getUint32(tiff + 4, le);
+    const count = view.getUint16(ifd0, le);
+
+    for (let i = 0; i < count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        const tag = view.getUint16(entry, le);
+        if (tag === 0x0112 && resetOrientation) view.setUint16(entry + 8, 1, le);
+        if (tag === 0x8825 && stripGps) {
+            const gps = tiff + view.getUint32(entry + 8, le);
+            const n = view.getUint16(gps, le);
+            for (let j = 0; j < n; j++) {
+                const g = gps + 2 + j * 12;
+                const size = (EXIF_TYPE_SIZES[view.getUint16(g + 2, le)] || 1) * view.getUint32(g + 4, le);
+                if (size > 4) segment.fill(0, tiff + view.getUint32(g + 8, le), tiff + view.getUint32(g + 8, le) + size);
+                segment.fill(0, g, g + 12);
+            }
+            view.setUint16(gps, 0, le);
+        }
+    }
+    return segment;
+}
+
+async function withExif(blob, f) {
+    const s = f.settings;
+    if (s.meta === 'strip') return blob;
+    const segment = findExifSegment(new Uint8Array(await f.file.slice(0, 256 * 1024).arrayBuffer()));
+    if (!segment) return blob;
+
+    patchExif(segment, { resetOrientation: s.orient === 'yes', stripGps: s.meta === 'nogps' });
+    const out = new Uint8Array(await blob.arrayBuffer());
+    return new Blob([out.subarray(0, 2), segment, out.subarray(2)], { type: blob.type });
+}
+
+/* Pipeline */
+
+async function ffmpegImageJob(f, file, inExt, outExt, encoderArgs) {
+    const inName = `img_${f.id}.${inExt}`;
+    const outName = `img_${f.id}_out.${outExt}`;
+    f.job = runJob({
+        args: ['-i', inName, '-frames:v', '1', ...encoderArgs, outName],
+        inputs: [{ name: inName, file }],
+        outputs: [outName],
+        onStart: () => report(f, 'running', 'Converting with ffmpeg...')
+    });
+    const { outputs } = await f.job.promise;
+    f.job = null;
+    return new Blob([outputs[outName]], { type: IMAGE_MIME[outExt] || `image/${outExt}` });
+}
+
+// Canvas steps take a pool slot like an ffmpeg job (see runTask), so "Parallel" also limits them and Cancel
+// reaches them through f.job. ffmpeg fallbacks run between the steps, never inside one, so a pool of one
+// cannot end up waiting on itself.
+async function canvasStep(f, step) {
+    f.job = runTask({ task: step, onStart: () => report(f, 'running', 'Converting...') });
+    const result = await f.job.promise;
+    f.job = null;
+    return result;
+}
+
+export async function convertImage(f) {
+    const s = f.settings;
+    if (typeof OffscreenCanvas === 'undefined') {
+        if (f.target === 'favicon') throw new Error("This browser cannot build a favicon set");
+        return convertWithFFmpeg(f);
+    }
+
+    report(f, 'queued', 'Waiting for a free worker...');
+    let source = await canvasStep(f, () => decodeImage(f.file, s.orient).catch(() => null));
+    if (!source) {
+        // Not decodable here (TIFF outside Safari, ICO...): let ffmpeg produce a PNG the canvas can read.
+        report(f, 'queued', 'Waiting for a free worker...');
+        const png = await ffmpegImageJob(f, f.file, f.file.name.split('.').pop(), 'png', []);
+        source = await canvasStep(f, () => createImageBitmap(png));
+    }
+
+    // Resolves to the finished Blob, or to { png } when ffmpeg has to do the encoding.
+    const out = await canvasStep(f, async signal => {
+        const canvas = renderImage(source, s, f.target);
+        source.close();
+
+        if (f.target === 'ico') return encodeIco(canvas, ICO_SIZES.filter(size => size <= Math.max(canvas.width, canvas.height, 16)));
+        if (f.target === 'favicon') return encodeFaviconSet(canvas);
+
+        const mime = IMAGE_MIME[f.target];
+        if (imageCaps[mime]) {
+            const blob = await canvas.convertToBlob({ type: mime, quality: Number(s.qual) / 100 });
+            return f.target === 'jpg' ? withExif(blob, f) : blob;
+        }
+        if (f.target === 'avif') return encodeAvif(canvas, Number(s.qual), signal);
+        // No browser encoder (BMP, TIFF, WebP in older Safari): hand ffmpeg a lossless PNG.
+        return { png: await canvas.convertToBlob({ type: 'image/png' }) };
+    });
+    if (out instanceof Blob) return out;
+
+    report(f, 'queued', 'Waiting for a free worker...');
+    return ffmpegImageJob(f, out.png, 'png', f.target, imageEncoderArgs(f.target, s.qual));
+}
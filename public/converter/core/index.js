@@ -0,0 +1,499 @@
+// DOM-free conversion core: formats, option tables, ffmpeg argument builders and the promise API (`convert`).
+// The page UI (app.js) and the postMessage bridge (embed.js) are built on it; other pages on this origin can
+// `import { convert } from '/converter/core/index.js'`.
+
+import { cancelJob, runJob } from './pool.js';
+import { classifyProbe, fmtTime, probeFile } from './probe.js';
+import { decodeAnimatedWebP, detectAnimation, prepareInputs, sequenceEntry } from './animation.js';
+import { browserImageInfo, convertImage, detectImageEncoders } from './imaging.js';
+import { SUB_CODECS, audioFilterArgs, concatArgs, detectSilence, needsSilenceScan, planSilence, splitFile, streamMaps, streamsOf } from './audio.js';
+import { BUILTIN_PRESETS, applyPresetValues, normalizePreset } from './presets.js';
+
+export * from './pool.js';
+export * from './probe.js';
+export * from './animation.js';
+export * from './imaging.js';
+export * from './audio.js';
+export * from './presets.js';
+
+export const FORMATS = {
+    video: ['mp4', 'webm', 'avi', 'mov', 'mkv', 'gif', 'webp', 'mp3', 'srt', 'vtt'],
+    audio: ['mp3', 'wav', 'aac', 'ogg', 'm4a'],
+    image: ['jpg', 'png', 'webp', 'avif', 'bmp', 'tiff', 'ico', 'favicon']
+};
+
+export const DEFAULTS = {
+    video: { res: 'original', fps: 'original', audio: 'keep', qual: 'medium', size: '', width: 'original', loop: 'forever', dither: 'sierra2_4a', split: 'off', aStream: null, sStream: null, start: 0, end: null, crop: null, rotate: '0', flip: 'none' },
+    audio: { bitrate: '128k', channels: 'original', norm: 'off', fadeIn: '0', fadeOut: '0', silence: 'keep', speed: '1', pitch: '0', split: 'off', aStream: null, size: '', start: 0, end: null },
+    image: { scale: '100', qual: '90', gray: 'no', orient: 'yes', fit: 'none', fitW: '', fitH: '', bg: '#ffffff', meta: 'strip', crop: null, rotate: '0', flip: 'none' }
+};
+
+// Result extension when it differs from the target name (the favicon set is a ZIP of icons).
+const OUTPUT_EXT = { favicon: 'zip' };
+
+export function outputName(f) {
+    return `converted_${f.file.name.split('.')[0]}.${OUTPUT_EXT[f.target] || f.target}`;
+}
+
+export function inputBytes(f) {
+    const list = f.frames || (f.parts && f.parts.map(p => p.file));
+    return list ? list.reduce((sum, x) => sum + x.size, 0) : f.file.size;
+}
+
+function getType(file) {
+    if (file.type.startsWith('video/') || ['mkv','avi','mov'].some(x => file.name.endsWith(x))) return 'video';
+    if (file.type.startsWith('audio/')) return 'audio';
+    if (file.type.startsWith('image/')) return 'image';
+    return 'unknown';
+}
+
+// Inspects a file and returns its conversion entry ({ id, file, type, info, target, settings, ... }).
+// Throws when neither ffmpeg nor the browser can read it.
+export async function createEntry(file, id = Math.random().toString(36).substr(2, 9)) {
+    let info = null;
+    try {
+        info = await probeFile(id, file);
+    } catch (e) {
+        console.error("Probe error:", e);
+    }
+    const animation = await detectAnimation(file);
+    if (animation === 'webp') {
+        try {
+            const { frames, fps, width, height } = await decodeAnimatedWebP(file);
+            return sequenceEntry(id, file, frames, fps, width, height, 'webp');
+        } catch (e) {
+            throw new Error(`${file.name}: ${e.message}`);
+        }
+    }
+    // SVG, AVIF and friends are unknown (or look like video) to this ffmpeg build but may still decode in the browser.
+    if (!animation && ['image', 'unknown'].includes(getType(file)) && !(info && classifyProbe(info) === 'image')) {
+        info = (await browserImageInfo(file)) || info;
+    }
+
+    // Fall back to the MIME/extension guess only when the engine itself could not run.
+    const type = animation === 'gif' ? 'video' : info ? classifyProbe(info) : getType(file);
+    if (type === 'unknown') throw new Error(`Format non supporté: ${file.name}`);
+
+    const target = type === 'video' ? 'mp4' : (type === 'audio' ? 'mp3' : 'png');
+    const settings = JSON.parse(JSON.stringify(DEFAULTS[type]));
+    return { id, file, type, info, target, settings, status: 'idle', results: [], selected: false, animated: !!animation };
+}
+
+export const ANIM_TARGETS = ['gif', 'webp'];
+export const SUB_TARGETS = ['srt', 'vtt'];
+
+const SPLIT_OPTIONS = [['off', 'No Split'], ['60', '1 min Chunks'], ['300', '5 min Chunks'], ['600', '10 min Chunks'], ['silence', 'Split at Silence']];
+
+export const OPTIONS = {
+    video: {
+        res: [['original', 'Orig Res'], ['1080', '1080p'], ['720', '720p'], ['480', '480p']],
+        fps: [['original', 'Orig FPS'], ['60', '60 FPS'], ['30', '30 FPS'], ['24', '24 FPS'], ['15', '15 FPS'], ['12', '12 FPS'], ['10', '10 FPS']],
+        audio: [['keep', 'Keep Audio'], ['192k', 'Audio 192k'], ['128k', 'Audio 128k'], ['64k', 'Audio 64k'], ['none', 'No Audio']],
+        qual: [['medium', 'Med Quality'], ['high', 'High Quality'], ['low', 'Low Quality']],
+        width: [['original', 'Orig Width'], ['640', '640px Wide'], ['480', '480px Wide'], ['320', '320px Wide']],
+        loop: [['forever', 'Loop Forever'], ['once', 'Play Once'], ['3', 'Play 3 Times']],
+        dither: [['sierra2_4a', 'Sierra Dither'], ['floyd_steinberg', 'Floyd-Steinberg'], ['bayer', 'Bayer Dither'], ['none', 'No Dither']],
+        split: SPLIT_OPTIONS
+    },
+    audio: {
+        bitrate: [['320k', '320 kbps'], ['192k', '192 kbps'], ['128k', '128 kbps'], ['96k', '96 kbps'], ['64k', '64 kbps']],
+        channels: [['original', 'Orig Channels'], ['2', 'Stereo'], ['1', 'Mono']],
+        norm: [['off', 'No Normalize'], ['-16', 'Loudness -16 LUFS'], ['-23', 'Loudness -23 LUFS']],
+        fadeIn: [['0', 'No Fade In'], ['1', 'Fade In 1s'], ['3', 'Fade In 3s']],
+        fadeOut: [['0', 'No Fade Out'], ['1', 'Fade Out 1s'], ['3', 'Fade Out 3s']],
+        silence: [['keep', 'Keep Silence'], ['trim', 'Trim Silence']],
+        speed: [['1', '1x Speed'], ['0.75', '0.75x Speed'], ['1.25', '1.25x Speed'], ['1.5', '1.5x Speed'], ['2', '2x Speed']],
+        pitch: [['0', 'Orig Pitch'], ['-2', 'Pitch -2 st'], ['-1', 'Pitch -1 st'], ['1', 'Pitch +1 st'], ['2', 'Pitch +2 st']],
+        split: SPLIT_OPTIONS
+    },
+    image: {
+        scale: [['100', '100% Size'], ['75', '75% Size'], ['50', '50% Size'], ['25', '25% Size']],
+        qual: [['90', 'High Qual'], ['70', 'Med Qual'], ['50', 'Low Qual']],
+        gray: [['no', 'Color'], ['yes', 'Grayscale']],
+        orient: [['yes', 'Auto-Rotate'], ['no', 'Ignore EXIF Rotation']],
+        fit: [['none', 'No Fit'], ['contain', 'Fit Contain'], ['cover', 'Fit Cover']],
+        meta: [['strip', 'Strip Metadata'], ['nogps', 'Keep EXIF, No GPS'], ['keep', 'Keep All EXIF']]
+    }
+};
+
+// Drops choices that cannot improve on the probed source (upscaling, upmixing, higher bitrates...).
+function sourceAllows(f, key, value) {
+    const info = f.info;
+    if (!info) return true;
+    const v = info.video || {};
+    const a = info.audio || {};
+    const kbps = parseInt(value);
+
+    if (f.type === 'video') {
+        if (key === 'res') return value === 'original' || !v.height || Number(value) < v.height;
+        if (key === 'fps') return value === 'original' || !v.fps || Number(value) < v.fps;
+        if (key === 'width') return value === 'original' || !v.width || Number(value) < v.width;
+        if (key === 'audio') return info.audio ? (isNaN(kbps) || !a.bitrate || kbps <= a.bitrate) : value === 'none';
+    } else if (f.type === 'audio') {
+        if (key === 'bitrate') return !(a.bitrate || info.bitrate) || kbps <= (a.bitrate || info.bitrate);
+        if (key === 'channels') return value === 'original' || !a.channels || Number(value) < a.channels;
+    }
+    if (key === 'split') return value === 'off' || (value === 'silence' ? !!info.audio : !info.duration || Number(value) < info.duration);
+    return true;
+}
+
+// Animated targets swap resolution/audio/quality controls for width, loop count and palette dithering.
+export function optionKeys(f) {
+    // EXIF can only be carried over from a JPEG into a JPEG.
+    if (f.type === 'image') return Object.keys(OPTIONS.image).filter(key => key !== 'meta' || (f.target === 'jpg' && isJpeg(f)));
+    if (f.parts) return f.type === 'video' ? ['res', 'fps', 'audio', 'qual'] : ['bitrate', 'channels'];
+    if (f.type !== 'video') return Object.keys(OPTIONS[f.type]);
+    if (SUB_TARGETS.includes(f.target)) return [];
+    if (f.target === 'gif') return ['fps', 'width', 'loop', 'dither'];
+    if (f.target === 'webp') return ['fps', 'width', 'loop', 'qual'];
+    return ['res', 'fps', 'audio', 'qual', 'split'];
+}
+
+function isJpeg(f) {
+    return f.file.type === 'image/jpeg' || (f.info && f.info.video && f.info.video.codec === 'mjpeg');
+}
+
+export function optionsFor(f, key) {
+    const all = OPTIONS[f.type][key];
+    const allowed = all.filter(([value]) => sourceAllows(f, key, value));
+    const list = allowed.length ? allowed : all.slice(-1);
+    if (!list.some(([value]) => value === f.settings[key])) f.settings[key] = list[0][0];
+    return list;
+}
+
+export function allowsTarget(f, t) {
+    // AVIF goes through the canvas, natively or via the wasm encoder (see core/imaging.js).
+    if (t === 'avif') return typeof OffscreenCanvas !== 'undefined';
+    if (f.type !== 'video') return true;
+    // Joined cards are re-encoded through the concat filter, which only feeds the regular video encoders.
+    if (f.parts) return !!VIDEO_CODECS[t];
+    if (t === 'mp3') return !(f.info && !f.info.audio);
+    if (SUB_TARGETS.includes(t)) return streamsOf(f, 'subtitle').length > 0;
+    return true;
+}
+
+export function outputDuration(f) {
+    if (f.frames) return f.frames.length / Number(f.settings.frameRate);
+    const info = f.info;
+    if (!info || !info.duration || f.type === 'image') return null;
+    if (f.parts) return info.duration;
+    const end = f.settings.end == null ? info.duration : f.settings.end;
+    return (end - (f.settings.start || 0)) / (Number(f.settings.speed) || 1);
+}
+
+export function splits(f) {
+    return !!f.settings.split && f.settings.split !== 'off' && optionKeys(f).includes('split');
+}
+
+export const VIDEO_CODECS = {
+    mp4: { v: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'], a: 'aac', crf: { high: '18', medium: '28', low: '35' }, even: true },
+    mov: { v: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p'], a: 'aac', crf: { high: '18', medium: '28', low: '35' }, even: true },
+    mkv: { v: ['-c:v', 'libx264'], a: 'aac', crf: { high: '18', medium: '28', low: '35' }, even: true },
+    webm: { v: ['-c:v', 'libvpx'], a: 'libvorbis', crf: { high: '10', medium: '30', low: '45' }, crfCap: '2M' },
+    avi: { v: ['-c:v', 'mpeg4'], a: 'libmp3lame', q: { high: '3', medium: '6', low: '12' } }
+};
+
+const TRANSPOSE = { '90': 'transpose=1', '180': 'hflip,vflip', '270': 'transpose=2' };
+
+const AUDIO_CODECS = { mp3: 'libmp3lame', wav: 'pcm_s16le', aac: 'aac', ogg: 'libvorbis', m4a: 'aac' };
+
+const AUDIO_STEPS = [32, 48, 64, 96, 128, 160, 192, 256, 320];
+
+// Splits a target size into video/audio kbps for the trimmed duration, or null when size mode does not apply.
+// Whether a target size can apply to this file at all. The size field, the size estimate and the oversize
+// warning all follow it, so none of them offers a target the encode would ignore.
+export function sizable(f) {
+    return f.type !== 'image' && ![...ANIM_TARGETS, ...SUB_TARGETS, 'wav'].includes(f.target) && !f.parts && !splits(f);
+}
+
+export function sizeBudget(f) {
+    const s = f.settings;
+    if (!Number(s.size) || !sizable(f)) return null;
+    const duration = outputDuration(f);
+    if (!duration) throw new Error("Target size needs a known duration");
+
+    // Keep ~3% of the budget for container overhead.
+    const total = Number(s.size) * 8 * 1024 * 1024 * 0.97 / duration / 1000;
+    const audioOnly = f.type === 'audio' || f.target === 'mp3';
+    const wanted = f.type === 'audio' ? parseInt(s.bitrate)
+        : (s.audio === 'none' || (f.info && !f.info.audio)) ? 0
+        : parseInt(s.audio) || (audioOnly ? 192 : 128);
+
+    if (audioOnly) {
+        const audio = AUDIO_STEPS.filter(k => k <= Math.min(wanted, total)).pop();
+        if (!audio) throw new Error(`${s.size} MB is too small for ${fmtTime(duration)} of audio`);
+        return { video: 0, audio };
+    }
+    // Audio gets at most a sixth of the budget, the rest goes to video.
+    const audio = wanted ? (AUDIO_STEPS.filter(k => k <= Math.min(wanted, total / 6)).pop() || 32) : 0;
+    const video = Math.floor(total - audio);
+    if (video < 50) throw new Error(`${s.size} MB is too small for ${fmtTime(duration)} of video`);
+    return { video, audio };
+}
+
+// One ffmpeg command per pass: target-size video runs an analysis pass before the real encode.
+export function buildCommands(f, inName, outName) {
+    const budget = sizeBudget(f);
+    const args = buildArgs(f, inName, outName, budget);
+    if (!budget || !budget.video) return [args];
+
+    const passlog = `/tmp/pass_${f.id}`;
+    const pass1 = buildArgs(f, inName, outName, { ...budget, audio: 0 }).slice(0, -1);
+    return [
+        [...pass1, '-an', '-pass', '1', '-passlogfile', passlog, '-f', 'null', '-'],
+        [...args.slice(0, -1), '-pass', '2', '-passlogfile', passlog, outName]
+    ];
+}
+
+export function buildArgs(f, inName, outName, budget = null) {
+    const s = f.settings;
+    // Audio cards trim in their filter chain instead (see audioFilterArgs).
+    const args = f.type === 'video' ? trimArgs(s) : [];
+    args.push(...(f.frames ? ['-framerate', String(s.frameRate), '-i', inName] : ['-i', inName]));
+    if (f.type !== 'image') args.push(...streamMaps(f));
+    if (SUB_TARGETS.includes(f.target)) args.push('-c:s', SUB_CODECS[f.target]);
+    else if (f.type === 'video') args.push(...videoArgs(f.target, s, budget));
+    // -vn: cover art would otherwise be encoded as a one-frame video track (H.264 in M4A, Theora in OGG).
+    else if (f.type === 'audio') args.push('-vn', ...audioFilterArgs(f), ...audioArgs(f.target, budget ? `${budget.audio}k` : s.bitrate, s.channels));
+    else if (f.type === 'image') args.push(...imageArgs(f.target, s));
+    args.push(outName);
+    return args;
+}
+
+function videoArgs(target, s, budget) {
+    const bitrate = budget ? (budget.audio ? `${budget.audio}k` : null) : (/^\d+k$/.test(s.audio) ? s.audio : null);
+    if (target === 'mp3') return ['-vn', ...audioArgs('mp3', bitrate || '192k', 'original')];
+
+    const filters = geometryFilters(s);
+    if (ANIM_TARGETS.includes(target)) return animArgs(target, s, filters);
+
+    const args = [];
+    const codec = VIDEO_CODECS[target];
+    if (s.res !== 'original') filters.push(`scale=-2:${s.res}`);
+    else if (codec.even) filters.push('scale=trunc(iw/2)*2:trunc(ih/2)*2');
+    if (filters.length) args.push('-vf', filters.join(','));
+    if (s.fps !== 'original') args.push('-r', s.fps);
+
+    args.push(...videoCodecArgs(codec, s, budget));
+
+    if (s.audio === 'none') args.push('-an');
+    else if (bitrate) args.push('-c:a', codec.a, '-b:a', bitrate);
+    return args;
+}
+
+export function videoCodecArgs(codec, s, budget) {
+    if (budget) return [...codec.v, '-b:v', `${budget.video}k`];
+    if (codec.crf) return [...codec.v, '-crf', codec.crf[s.qual], ...(codec.crfCap ? ['-b:v', codec.crfCap] : [])];
+    return [...codec.v, '-q:v', codec.q[s.qual]];
+}
+
+const WEBP_QUALITY = { high: '90', medium: '75', low: '50' };
+
+// GIF gets a per-clip palette (palettegen/paletteuse); animated WebP goes through libwebp, the webp muxer writes the loop count.
+function animArgs(target, s, filters) {
+    if (s.fps !== 'original') filters.push(`fps=${s.fps}`);
+    if (s.width !== 'original') filters.push(`scale=${s.width}:-1:flags=lanczos`);
+    // GIF counts extra repeats (-1 = none), WebP counts total plays.
+    const loop = { forever: 0, once: target === 'gif' ? -1 : 1, '3': target === 'gif' ? 2 : 3 }[s.loop];
+
+    if (target === 'webp') {
+        const args = filters.length ? ['-vf', filters.join(',')] : [];
+        return [...args, '-c:v', 'libwebp', '-lossless', '0', '-quality', WEBP_QUALITY[s.qual], '-loop', String(loop), '-an'];
+    }
+    const dither = s.dither === 'bayer' ? 'bayer:bayer_scale=3' : s.dither;
+    const graph = [...filters, 'split[a][b]'].join(',') + `;[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=${dither}:diff_mode=rectangle`;
+    return ['-vf', graph, '-loop', String(loop)];
+}
+
+// Input options: ffmpeg seeks in the input instead of decoding and dropping everything before the start.
+// -t is a duration, because -to would count from the seek point.
+function trimArgs(s) {
+    const start = s.start || 0;
+    const args = [];
+    if (start > 0) args.push('-ss', String(start));
+    if (s.end != null) args.push('-t', String(Math.round((s.end - start) * 1000) / 1000));
+    return args;
+}
+
+function geometryFilters(s) {
+    const filters = [];
+    if (s.frameSize) {
+        const { w, h } = s.frameSize;
+        filters.push(`scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2`);
+    }
+    if (s.crop) filters.push(`crop=${s.crop.w}:${s.crop.h}:${s.crop.x}:${s.crop.y}`);
+    if (s.flip === 'h') filters.push('hflip');
+    else if (s.flip === 'v') filters.push('vflip');
+    if (s.rotate !== '0') filters.push(TRANSPOSE[s.rotate]);
+    return filters;
+}
+
+export function audioArgs(target, bitrate, channels) {
+    const args = ['-c:a', AUDIO_CODECS[target]];
+    if (target !== 'wav' && bitrate) args.push('-b:a', bitrate);
+    if (channels !== 'original') args.push('-ac', channels);
+    return args;
+}
+
+// ffmpeg route for images, used only where OffscreenCanvas is missing (see convertImage in imaging.js).
+function imageArgs(target, s) {
+    const args = [];
+    const filters = geometryFilters(s);
+    if (s.scale !== '100') filters.push(`scale=trunc(iw*${s.scale}/100):-1`);
+    if (s.fit !== 'none' && Number(s.fitW) > 0 && Number(s.fitH) > 0) {
+        const [w, h] = [s.fitW, s.fitH];
+        filters.push(s.fit === 'contain'
+            ? `scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2:color=${s.bg}`
+            : `scale=${w}:${h}:force_original_aspect_ratio=increase,crop=${w}:${h}`);
+    }
+    if (target === 'ico') filters.push("scale='min(256,iw)':'min(256,ih)':force_original_aspect_ratio=decrease");
+    if (s.gray === 'yes') filters.push('hue=s=0');
+    if (filters.length) args.push('-vf', filters.join(','));
+    return [...args, ...imageEncoderArgs(target, s.qual)];
+}
+
+export function imageEncoderArgs(target, qual) {
+    if (target === 'jpg') return ['-q:v', String(Math.round(31 - qual * 29 / 100))];
+    if (target === 'webp') return ['-quality', qual];
+    return [];
+}
+
+/* Settings */
+
+export function setTarget(f, target) {
+    // Full frame rate makes huge animations; start from a sensible default.
+    if (f.type === 'video' && ANIM_TARGETS.includes(target) && !ANIM_TARGETS.includes(f.target) && f.settings.fps === 'original') f.settings.fps = '12';
+    f.target = target;
+}
+
+// Settings edited outside the option selects (editor, number inputs) and the values they accept.
+const FREE_SETTINGS = {
+    rotate: v => ['0', '90', '180', '270'].includes(String(v)),
+    flip: v => ['none', 'h', 'v'].includes(v),
+    bg: v => /^#[0-9a-f]{6}$/i.test(v),
+    start: v => Number(v) >= 0,
+    end: v => Number(v) > 0,
+    // In source pixels, as the editor sets it; null removes the crop.
+    crop: v => v === null || (typeof v === 'object' && ['x', 'y', 'w', 'h'].every(k => Number.isInteger(v[k]) && v[k] >= 0) && v.w > 0 && v.h > 0),
+    size: v => Number(v) >= 0,
+    fitW: v => Number(v) > 0,
+    fitH: v => Number(v) > 0,
+    frameRate: v => Number(v) > 0,
+    aStream: v => Number.isInteger(Number(v)),
+    sStream: v => Number.isInteger(Number(v))
+};
+
+function freeValue(key, value) {
+    if (key === 'start' || key === 'end') return Number(value);
+    if (key === 'crop') return value && { x: value.x, y: value.y, w: value.w, h: value.h };
+    return String(value);
+}
+
+// Applies { target, ...settings } to an entry, then clamps choices to what the source allows like the card
+// selects do. Returns the keys that do not apply to this file; those are left untouched.
+export function applySettings(f, { target, ...settings }) {
+    const rejected = [];
+    const trim = { start: f.settings.start, end: f.settings.end };
+    if (target != null) {
+        if (FORMATS[f.type].includes(target) && allowsTarget(f, target)) setTarget(f, target);
+        else rejected.push('target');
+    }
+    Object.entries(settings).forEach(([key, value]) => {
+        const choices = OPTIONS[f.type][key];
+        if (!(key in f.settings)) rejected.push(key);
+        else if (choices && choices.some(([v]) => v === String(value))) f.settings[key] = String(value);
+        else if (!choices && FREE_SETTINGS[key] && FREE_SETTINGS[key](value)) f.settings[key] = freeValue(key, value);
+        else rejected.push(key);
+    });
+    // Start and end are checked together: the range must not be empty or begin after the source ends.
+    const { start, end } = f.settings;
+    const duration = f.info && f.info.duration;
+    if ((end != null && end <= start) || (duration && start >= duration)) {
+        ['start', 'end'].filter(key => key in settings && !rejected.includes(key)).forEach(key => {
+            f.settings[key] = trim[key];
+            rejected.push(key);
+        });
+    }
+    optionKeys(f).forEach(key => optionsFor(f, key));
+    return rejected;
+}
+
+/* Conversion */
+
+// Status and progress go through the hooks of the running conversion, so the pipeline never touches the page.
+export function report(f, state, message = '') {
+    if (f.hooks && f.hooks.onState) f.hooks.onState(state, message);
+}
+
+export function progressOf(f) {
+    return ratio => { if (f.hooks && f.hooks.onProgress) f.hooks.onProgress(ratio); };
+}
+
+export async function convertWithFFmpeg(f) {
+    const outName = `out_${f.id}.${f.target}`;
+    const prepared = await prepareInputs(f);
+
+    // Silence trimming and silence splits need a detection run first; it moves the trim range.
+    const plan = needsSilenceScan(f) ? planSilence(f, await detectSilence(f, prepared)) : null;
+    if (splits(f)) return splitFile(f, prepared, plan);
+    const job = plan ? { ...f, settings: { ...f.settings, start: plan.start, end: plan.end } } : f;
+    const commands = f.parts ? [concatArgs(f, prepared.inputs.map(i => i.name), outName)] : buildCommands(job, prepared.inName, outName);
+
+    report(f, 'queued', 'Waiting for a free worker...');
+    f.job = runJob({
+        commands,
+        inputs: prepared.inputs,
+        outputs: [outName],
+        duration: outputDuration(job),
+        onStart: () => report(f, 'running', commands.length > 1 ? 'Converting (2 passes)...' : 'Converting...'),
+        onProgress: progressOf(f)
+    });
+
+    const { outputs } = await f.job.promise;
+    return new Blob([outputs[outName]], { type: `${f.type}/${f.target}` });
+}
+
+// Runs an entry through the image or ffmpeg pipeline; resolves to [{ name, blob }], several when split.
+export async function runConversion(f, hooks = {}) {
+    f.hooks = hooks;
+    try {
+        // Images go through the browser's codecs first; everything else is an ffmpeg job.
+        const output = f.type === 'image' ? await convertImage(f) : await convertWithFFmpeg(f);
+        return Array.isArray(output) ? output : [{ name: outputName(f), blob: output }];
+    } finally {
+        f.job = null;
+        f.hooks = null;
+    }
+}
+
+// Scripting entry point: convert(file, { target, ...settings, preset, onProgress, onState, signal }).
+// Resolves to a File named like the UI download, or to an array of Files when the settings split the input.
+export async function convert(file, options = {}) {
+    const { onProgress, onState, signal, preset, ...wanted } = options;
+    const f = await createEntry(file);
+    const rejected = [];
+
+    if (preset) {
+        // A built-in preset id, or a preset object like those exported from the page's preset panel.
+        const p = typeof preset === 'string' ? BUILTIN_PRESETS.find(x => x.id === preset) : normalizePreset(preset);
+        if (!p || p.type !== f.type) throw new Error(`Preset ${p ? p.name : preset} does not apply to ${f.type} files`);
+        rejected.push(...applyPresetValues(f, p));
+    }
+    rejected.push(...applySettings(f, wanted));
+    if (rejected.length) throw new Error(`Unsupported option(s) for this ${f.type} file: ${rejected.join(', ')}`);
+
+    const abort = () => { if (f.job) cancelJob(f.job); };
+    if (signal) {
+        if (signal.aborted) throw Object.assign(new Error('Cancelled'), { cancelled: true });
+        signal.addEventListener('abort', abort);
+    }
+    try {
+        const results = await runConversion(f, { onProgress, onState });
+        const out = results.map(r => new File([r.blob], r.name, { type: r.blob.type }));
+        return out.length === 1 ? out[0] : out;
+    } finally {
+        if (signal) signal.removeEventListener('abort', abort);
+    }
+}
+
+detectImageEncoders();
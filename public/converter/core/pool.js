@@ -0,0 +1,173 @@
+// Job queue spreading ffmpeg commands over a pool of Web Workers (worker.js), each with its own core.
+
+export const pool = {
+    limit: 2,
+    slots: [],
+    queue: [],
+    tasks: []
+};
+
+// Probes run in a worker of their own, so inspecting newly added files never waits behind conversions.
+const probeLane = { limit: 1, slots: [], queue: [], tasks: [] };
+
+const WORKER_URL = new URL('../worker.js', import.meta.url);
+
+// Engine state changes ('ready' / 'error'); the page shows them, other callers may ignore them.
+const statusListeners = [];
+
+export function onEngineStatus(listener) {
+    statusListeners.push(listener);
+}
+
+function engineStatus(state, message) {
+    statusListeners.forEach(listener => listener(state, message));
+}
+
+// Queues ffmpeg commands (`args`, or several passes as `commands`) to run in one worker.
+// `collect` is a file name prefix for outputs whose number is not known up front (segment chunks).
+// `probe` runs the arguments through ffprobe instead, in the probe lane rather than the conversion pool.
+// `timeout` (ms, counted once the worker's engine is up) retires a worker that never answers.
+// The returned job exposes `promise`, resolving to { outputs, log, stdout }.
+export function runJob({ args, commands, inputs = [], outputs = [], collect = null, duration = null, probe = false, timeout = null, onStart, onProgress }) {
+    const lane = probe ? probeLane : pool;
+    const job = { lane, probe, timeout, commands: commands || [args], inputs, outputs, collect, duration, onStart, onProgress };
+    job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    lane.queue.push(job);
+    pump(lane);
+    return job;
+}
+
+// Queues work done on the page rather than in ffmpeg (canvas image conversions) so it counts against the same
+// limit. `task(signal)` returns a promise; the signal aborts when the job is cancelled, and the slot is only
+// released once the task has actually settled. The returned job behaves like one from runJob.
+export function runTask({ task, onStart }) {
+    const job = { lane: pool, task, onStart };
+    job.promise = new Promise((resolve, reject) => { job.resolve = resolve; job.reject = reject; });
+    pool.queue.push(job);
+    pump(pool);
+    return job;
+}
+
+export function cancelJob(job) {
+    const err = new Error('Cancelled');
+    err.cancelled = true;
+
+    const lane = job.lane;
+    if (lane.queue.includes(job)) {
+        lane.queue = lane.queue.filter(j => j !== job);
+    } else if (lane.tasks.includes(job)) {
+        job.controller.abort();
+    } else {
+        const slot = lane.slots.find(s => s.job === job);
+        if (!slot) return;
+        clearTimeout(job.timer);
+        // ffmpeg.wasm cannot be interrupted mid-command; dropping the worker is the only way to stop it.
+        retireSlot(slot);
+        pump(lane);
+    }
+    job.reject(err);
+}
+
+export function setPoolLimit(n) {
+    pool.limit = n;
+    pool.slots.filter(s => !s.job).slice(Math.max(0, n - pool.slots.filter(s => s.job).length)).forEach(retireSlot);
+    pump(pool);
+}
+
+export function warmPool() {
+    if (!pool.slots.length) spawnSlot(pool);
+}
+
+function spawnSlot(lane) {
+    const slot = { lane, worker: new Worker(WORKER_URL), job: null, ready: false };
+    slot.worker.onmessage = ({ data }) => onWorkerMessage(slot, data);
+    slot.worker.onerror = (e) => onWorkerMessage(slot, { type: 'fatal', message: e.message || 'Engine worker failed to start' });
+    lane.slots.push(slot);
+    return slot;
+}
+
+function retireSlot(slot) {
+    slot.worker.terminate();
+    slot.lane.slots = slot.lane.slots.filter(s => s !== slot);
+}
+
+function onWorkerMessage(slot, msg) {
+    const job = slot.job;
+    const lane = slot.lane;
+
+    if (msg.type === 'ready') {
+        slot.ready = true;
+        if (job) armTimeout(slot);
+        return engineStatus('ready');
+    }
+    if (msg.type === 'fatal') {
+        if (job) clearTimeout(job.timer);
+        retireSlot(slot);
+        engineStatus('error', msg.message);
+        if (job) job.reject(new Error(msg.message));
+        return pump(lane);
+    }
+    if (!job) return;
+
+    if (msg.type === 'progress') {
+        if (job.onProgress) job.onProgress(msg.ratio);
+    } else if (msg.type === 'done') {
+        clearTimeout(job.timer);
+        slot.job = null;
+        // A worker whose core aborted fails every later command, so it is replaced.
+        if (msg.broken || lane.slots.length > lane.limit) retireSlot(slot);
+        const missing = job.outputs.some(name => !msg.outputs[name]) || (job.collect && !Object.keys(msg.outputs).length);
+        if (msg.code || msg.broken || missing) job.reject(new Error(errorFromLog(msg.log)));
+        else job.resolve(msg);
+        pump(lane);
+    }
+}
+
+function busy(lane) {
+    return lane.slots.filter(s => s.job).length + lane.tasks.length;
+}
+
+function pump(lane) {
+    while (lane.queue.length && busy(lane) < lane.limit) {
+        const job = lane.queue.shift();
+        if (job.task) {
+            startTask(lane, job);
+            continue;
+        }
+        const slot = lane.slots.find(s => !s.job) || spawnSlot(lane);
+        slot.job = job;
+        if (job.onStart) job.onStart();
+        slot.worker.postMessage({ tool: job.probe ? 'ffprobe' : 'ffmpeg', commands: job.commands, inputs: job.inputs, outputs: job.outputs, collect: job.collect, duration: job.duration });
+        if (slot.ready) armTimeout(slot);
+    }
+}
+
+// A worker stuck in a command cannot be reached any more; it is dropped and the job fails.
+function armTimeout(slot) {
+    const job = slot.job;
+    if (!job.timeout) return;
+    job.timer = setTimeout(() => {
+        retireSlot(slot);
+        job.reject(new Error(`Timed out after ${job.timeout / 1000} s`));
+        pump(slot.lane);
+    }, job.timeout);
+}
+
+function startTask(lane, job) {
+    job.controller = new AbortController();
+    lane.tasks.push(job);
+    if (job.onStart) job.onStart();
+    new Promise(resolve => resolve(job.task(job.controller.signal)))
+        .then(job.resolve, job.reject)
+        .finally(() => {
+            lane.tasks = lane.tasks.filter(t => t !== job);
+            pump(lane);
+        });
+}
+
+// ffmpeg ends a failed run with "Conversion failed!"; the useful reason is the last error-looking line before it.
+function errorFromLog(log) {
+    const lines = log.map(l => l.trim()).filter(l => l && l !== 'Conversion failed!');
+    const hit = lines.slice().reverse().find(l => /error|invalid|unknown|not supported|unable|cannot|could not|does not|no such|failed|too (large|small)/i.test(l));
+    return hit || lines.pop() || 'Conversion failed';
+}
@@ -0,0 +1,31 @@
+// Named target + settings combinations. Built-ins are fixed here; user presets live in localStorage (see presets.js).
+
+import { FORMATS, OPTIONS, applySettings } from './index.js';
+
+export const BUILTIN_PRESETS = [
+    { id: 'discord-mp4', name: 'Discord 8 MB MP4', type: 'video', target: 'mp4', settings: { res: '720', fps: '30', audio: '128k', size: '8' }, builtin: true },
+    { id: 'podcast-mp3', name: 'Podcast MP3 mono 64k', type: 'audio', target: 'mp3', settings: { bitrate: '64k', channels: '1' }, builtin: true },
+    { id: 'web-thumb', name: 'Web thumbnail WebP 50%', type: 'image', target: 'webp', settings: { scale: '50', qual: '70' }, builtin: true }
+];
+
+// Names are shown in the preset panel, so only short plain text is accepted: no markup, no control characters.
+const PRESET_NAME = /^[^<>\u0000-\u001f\u007f]{1,60}$/;
+
+// Returns the preset in canonical form, or null when it does not describe a valid name/target/settings combination.
+export function normalizePreset(p) {
+    if (!p || typeof p.name !== 'string' || !PRESET_NAME.test(p.name.trim())) return null;
+    if (!FORMATS[p.type] || !FORMATS[p.type].includes(p.target)) return null;
+    const settings = {};
+    Object.keys(OPTIONS[p.type]).forEach(key => {
+        const value = p.settings && p.settings[key];
+        if (OPTIONS[p.type][key].some(([v]) => v === value)) settings[key] = value;
+    });
+    if (p.type !== 'image' && p.settings && Number(p.settings.size) > 0) settings.size = String(p.settings.size);
+    return { id: p.id, name: p.name.trim(), type: p.type, target: p.target, settings };
+}
+
+// Presets go through the same checks as any other settings, so one cannot set a target the file cannot be
+// converted to. Returns the keys that do not apply to this file.
+export function applyPresetValues(f, preset) {
+    return applySettings(f, { target: preset.target, ...preset.settings });
+}
@@ -0,0 +1,161 @@
+// Media inspector: runs ffprobe on each input and reads the JSON report it prints.
+
+import { runJob } from './pool.js';
+import { ANIM_TARGETS, SUB_TARGETS, outputDuration, sizeBudget } from './index.js';
+
+const IMAGE_CONTAINERS = /^(image2|\w+_pipe|ico|gif)$/;
+
+// Identifying the streams takes well under a second; a file that keeps the probe busy this long would hold up
+// every file added after it.
+const PROBE_TIMEOUT = 30000;
+
+// The input is mounted, not copied (see worker.js), and ffprobe only reads as far as it needs to identify the streams.
+export async function probeFile(id, file) {
+    const inName = `probe_${id}.${file.name.split('.').pop()}`;
+    const { stdout } = await runJob({
+        args: ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', inName],
+        inputs: [{ name: inName, file }],
+        probe: true,
+        timeout: PROBE_TIMEOUT
+    }).promise;
+    // A file ffprobe cannot open still gets a (nearly empty) report, without a format.
+    let report;
+    try {
+        report = JSON.parse(stdout.join('\n'));
+    } catch (e) {
+        report = {};
+    }
+    return parseProbe(report);
+}
+
+function number(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : null;
+}
+
+function kbps(value) {
+    const n = number(value);
+    return n ? Math.round(n / 1000) : null;
+}
+
+// Frame rates come as fractions ("30000/1001"); "0/0" means unknown.
+function frameRate(value) {
+    const [num, den] = String(value || '').split('/').map(Number);
+    return num > 0 && den > 0 ? Math.round(num / den * 100) / 100 : null;
+}
+
+function rotation(s) {
+    const side = (s.side_data_list || []).find(d => d.rotation !== undefined);
+    return number(side ? side.rotation : s.tags && s.tags.rotate) || 0;
+}
+
+function parseProbe({ format, streams = [] }) {
+    const info = { container: null, duration: null, bitrate: null, streams: [] };
+    if (!format) return { ...info, video: null, audio: null };
+
+    info.container = format.format_name;
+    info.duration = number(format.duration);
+    info.bitrate = kbps(format.bit_rate);
+
+    streams.filter(s => ['video', 'audio', 'subtitle'].includes(s.codec_type)).forEach(s => {
+        const stream = { index: s.index, lang: (s.tags && s.tags.language) || null, kind: s.codec_type, codec: s.codec_name || 'unknown' };
+        const bitrate = kbps(s.bit_rate);
+        if (bitrate) stream.bitrate = bitrate;
+
+        if (stream.kind === 'video') {
+            if (s.width && s.height) {
+                stream.width = s.width;
+                stream.height = s.height;
+                if (Math.abs(rotation(s)) % 180 === 90) [stream.width, stream.height] = [stream.height, stream.width];
+            }
+            const fps = frameRate(s.avg_frame_rate) || frameRate(s.r_frame_rate);
+            if (fps) stream.fps = fps;
+            stream.cover = Boolean(s.disposition && s.disposition.attached_pic);
+        } else if (stream.kind === 'audio') {
+            stream.sampleRate = number(s.sample_rate);
+            stream.layout = s.channel_layout || (s.channels ? `${s.channels} channels` : null);
+            stream.channels = s.channels || null;
+        }
+        info.streams.push(stream);
+    });
+
+    info.video = info.streams.find(s => s.kind === 'video' && !s.cover) || null;
+    info.audio = info.streams.find(s => s.kind === 'audio') || null;
+    return info;
+}
+
+export function classifyProbe(info) {
+    if (!info.container) return 'unknown';
+    if (info.video && IMAGE_CONTAINERS.test(info.container)) return 'image';
+    if (info.video) return 'video';
+    if (info.audio) return 'audio';
+    return 'unknown';
+}
+
+export function fmtTime(sec) {
+    const m = Math.floor(sec / 60);
+    return `${m}:${(sec - m * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+export function describeInfo(info) {
+    const parts = [info.container.split(',')[0].replace(/_pipe$/, '').toUpperCase()];
+    const v = info.video;
+    const a = info.audio;
+    if (v) parts.push([v.codec.toUpperCase(), v.width && `${v.width}x${v.height}`, v.fps && info.duration && `${v.fps} fps`].filter(Boolean).join(' '));
+    if (a) parts.push([a.codec.toUpperCase(), a.sampleRate && `${a.sampleRate / 1000} kHz`, a.layout].filter(Boolean).join(' '));
+    if (info.duration) parts.push(fmtTime(info.duration));
+    if (info.bitrate) parts.push(`${info.bitrate} kb/s`);
+    return parts.join(' • ');
+}
+
+// Rough bits-per-pixel for each CRF level, good enough for an order-of-magnitude hint.
+const VIDEO_BPP = { high: 0.15, medium: 0.07, low: 0.035 };
+const IMAGE_BPP = { jpg: 2.4, webp: 1.6, avif: 1.2, png: 12, bmp: 24, tiff: 24 };
+
+export function estimateSize(f) {
+    const info = f.info;
+    const s = f.settings;
+    if (!info) return null;
+
+    if (SUB_TARGETS.includes(f.target)) return null;
+    const duration = outputDuration(f);
+
+    if (f.type === 'image') {
+        const v = info.video;
+        if (!v || !v.width || !IMAGE_BPP[f.target]) return null;
+        const fitted = s.fit !== 'none' && Number(s.fitW) > 0 && Number(s.fitH) > 0;
+        const area = fitted ? s.fitW * s.fitH : (s.crop ? s.crop.w * s.crop.h : v.width * v.height) * (s.scale / 100) ** 2;
+        const bpp = IMAGE_BPP[f.target] * (['jpg', 'webp', 'avif'].includes(f.target) ? s.qual / 90 : 1);
+        return area * bpp / 8;
+    }
+    if (!duration) return null;
+
+    try {
+        const budget = sizeBudget(f);
+        if (budget) return Number(s.size) * 1024 * 1024;
+    } catch (e) {
+        return null;
+    }
+
+    if (f.type === 'audio' || f.target === 'mp3') {
+        const bitrate = f.type === 'audio' ? parseInt(s.bitrate) : (parseInt(s.audio) || 192);
+        if (f.target === 'wav') {
+            const a = info.audio || {};
+            const channels = s.channels !== 'original' ? Number(s.channels) : (a.channels || 2);
+            return (a.sampleRate || 44100) * channels * 2 * duration;
+        }
+        return bitrate * 1000 / 8 * duration;
+    }
+
+    const v = info.video;
+    if (!v || !v.width) return null;
+    const aspect = s.crop ? s.crop.w / s.crop.h : v.width / v.height;
+    const anim = ANIM_TARGETS.includes(f.target);
+    const height = anim ? (s.width !== 'original' ? Number(s.width) / aspect : (s.crop ? s.crop.h : v.height))
+        : s.res !== 'original' ? Number(s.res) : (s.crop ? s.crop.h : v.height);
+    const width = height * aspect;
+    const fps = s.fps !== 'original' ? Number(s.fps) : (v.fps || 30);
+    const videoBits = f.target === 'gif' ? width * height * fps * 0.5 : width * height * fps * VIDEO_BPP[anim ? 'medium' : s.qual];
+    const audioBits = !info.audio || s.audio === 'none' || anim ? 0 : (parseInt(s.audio) || 128) * 1000;
+    return (videoBits + audioBits) / 8 * duration;
+}
@@ -0,0 +1,224 @@
+// Inline trim / crop / rotate editor shown in each file card; values land in files[].settings.
+
+// Animated images and frame sequences preview as a still of their first frame.
+function previewKind(f) { return f.animated ? 'image' : f.type; }
+
+const ROTATIONS = [['0', 'No Rotation'], ['90', 'Rotate 90°'], ['180', 'Rotate 180°'], ['270', 'Rotate 270°']];
+const FLIPS = [['none', 'No Flip'], ['h', 'Flip Horizontal'], ['v', 'Flip Vertical']];
+
+function transformOptions(choices, current) {
+    return choices.map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`).join('');
+}
+
+function editorHTML(f) {
+    const id = f.id;
+    const type = previewKind(f);
+    const canCrop = type !== 'audio';
+    const canTrim = type !== 'image';
+    const media = type === 'video'
+        ? `<video id="media-${id}" class="max-h-64 block" controls playsinline preload="metadata"></video>`
+        : type === 'audio'
+            ? `<audio id="media-${id}" class="w-full block" controls preload="metadata"></audio>`
+            : `<img id="media-${id}" class="max-h-64 block" alt="">`;
+
+    return `
+        <div class="w-full flex flex-col gap-2">
+            <div class="w-full ${type === 'audio' ? '' : 'bg-slate-900'} rounded-lg overflow-hidden flex items-center justify-center">
+                <div id="stage-${id}" class="relative ${type === 'audio' ? 'w-full' : 'inline-block'} transition-transform">
+                    ${media}
+                    ${canCrop ? `<div id="crop-${id}" class="crop-box hidden"><div class="crop-handle"></div></div>` : ''}
+                </div>
+            </div>
+            ${canTrim ? `
+            <div id="timeline-${id}" class="timeline">
+                <div class="timeline-range"></div>
+                <div class="timeline-marker" data-edge="start"></div>
+                <div class="timeline-marker" data-edge="end"></div>
+            </div>` : ''}
+            <div class="flex flex-wrap items-center gap-2 text-xs text-slate-500 font-medium">
+                ${canTrim ? `<span id="trim-label-${id}" class="font-mono"></span><button onclick="resetTrim('${id}')" class="text-iri hover:underline">Reset trim</button>` : ''}
+                ${canCrop ? `
+                <button id="crop-btn-${id}" onclick="toggleCrop('${id}')" class="ml-auto px-2 py-1 rounded border border-slate-200 hover:border-iri">✂ Crop</button>
+                <select onchange="updateTransform('${id}', 'rotate', this.value)" class="opt-input w-auto">${transformOptions(ROTATIONS, f.settings.rotate)}</select>
+                <select onchange="updateTransform('${id}', 'flip', this.value)" class="opt-input w-auto">${transformOptions(FLIPS, f.settings.flip)}</select>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+function initEditor(id) {
+    const f = files.find(x => x.id === id);
+    const media = document.getElementById(`media-${id}`);
+    f.previewUrl = URL.createObjectURL(f.file);
+    media.src = f.previewUrl;
+
+    const kind = previewKind(f);
+    if (f.type === 'image') applyOrientation(f);
+    if (kind !== 'image') {
+        media.addEventListener('loadedmetadata', () => drawTimeline(f));
+        bindTimeline(f);
+    }
+    if (kind !== 'audio') {
+        bindCrop(f);
+        // Settings may arrive rotated or flipped already (URL parameters, presets, a re-rendered card).
+        applyTransform(f);
+    }
+}
+
+function clamp(v, min, max) { return Math.min(max, Math.max(min, v)); }
+
+/* Trim */
+
+function drawTimeline(f) {
+    const media = document.getElementById(`media-${f.id}`);
+    const dur = media.duration;
+    if (!dur || !isFinite(dur)) return;
+
+    const bar = document.getElementById(`timeline-${f.id}`);
+    const start = f.settings.start / dur * 100;
+    const end = (f.settings.end == null ? dur : f.settings.end) / dur * 100;
+    bar.querySelector('[data-edge="start"]').style.left = `${start}%`;
+    bar.querySelector('[data-edge="end"]').style.left = `${end}%`;
+    Object.assign(bar.querySelector('.timeline-range').style, { left: `${start}%`, width: `${end - start}%` });
+
+    const endSec = f.settings.end == null ? dur : f.settings.end;
+    document.getElementById(`trim-label-${f.id}`).innerText = `${fmtTime(f.settings.start)} – ${fmtTime(endSec)} (${fmtTime(endSec - f.settings.start)})`;
+    refreshEstimate(f);
+}
+
+function bindTimeline(f) {
+    const media = document.getElementById(`media-${f.id}`);
+    const bar = document.getElementById(`timeline-${f.id}`);
+
+    bar.querySelectorAll('[data-edge]').forEach(handle => {
+        handle.addEventListener('pointerdown', e => {
+            e.preventDefault();
+            handle.setPointerCapture(e.pointerId);
+            const s = f.settings;
+
+            const move = ev => {
+                const dur = media.duration;
+                if (!dur || !isFinite(dur)) return;
+                const r = bar.getBoundingClientRect();
+                const t = Math.round(clamp((ev.clientX - r.left) / r.width, 0, 1) * dur * 10) / 10;
+
+                if (handle.dataset.edge === 'start') {
+                    s.start = Math.min(t, (s.end == null ? dur : s.end) - 0.1);
+                    media.currentTime = s.start;
+                } else {
+                    s.end = Math.max(t, s.start + 0.1);
+                    media.currentTime = s.end;
+                    if (s.end >= dur) s.end = null;
+                }
+                drawTimeline(f);
+            };
+            handle.addEventListener('pointermove', move);
+            handle.addEventListener('pointerup', () => handle.removeEventListener('pointermove', move), { once: true });
+        });
+    });
+}
+
+function resetTrim(id) {
+    const f = files.find(x => x.id === id);
+    f.settings.start = 0;
+    f.settings.end = null;
+    drawTimeline(f);
+}
+
+/* Crop & transform */
+
+function naturalSize(media) {
+    return media.tagName === 'IMG'
+        ? { w: media.naturalWidth, h: media.naturalHeight }
+        : { w: media.videoWidth, h: media.videoHeight };
+}
+
+function toggleCrop(id) {
+    const f = files.find(x => x.id === id);
+    const box = document.getElementById(`crop-${id}`);
+    const btn = document.getElementById(`crop-btn-${id}`);
+
+    if (f.cropBox) {
+        f.settings.crop = null;
+        f.cropBox = null;
+        box.classList.add('hidden');
+        btn.classList.remove('text-iri', 'border-iri');
+        return refreshEstimate(f);
+    }
+    f.cropBox = { x: 0.1, y: 0.1, w: 0.8, h: 0.8 };
+    box.classList.remove('hidden');
+    btn.classList.add('text-iri', 'border-iri');
+    drawCrop(f);
+}
+
+function drawCrop(f) {
+    const b = f.cropBox;
+    Object.assign(document.getElementById(`crop-${f.id}`).style, {
+        left: `${b.x * 100}%`, top: `${b.y * 100}%`, width: `${b.w * 100}%`, height: `${b.h * 100}%`
+    });
+
+    const { w, h } = naturalSize(document.getElementById(`media-${f.id}`));
+    if (!w || !h) return;
+    // yuv420 output needs even dimensions and offsets
+    const even = v => Math.floor(v / 2) * 2;
+    f.settings.crop = { x: even(b.x * w), y: even(b.y * h), w: Math.max(2, even(b.w * w)), h: Math.max(2, even(b.h * h)) };
+    refreshEstimate(f);
+}
+
+// Screen-space pointer deltas must be mapped back through the CSS rotate/flip applied to the stage.
+function toLocalDelta(s, dx, dy) {
+    const rad = -Number(s.rotate) * Math.PI / 180;
+    let x = dx * Math.cos(rad) - dy * Math.sin(rad);
+    let y = dx * Math.sin(rad) + dy * Math.cos(rad);
+    if (s.flip === 'h') x = -x;
+    if (s.flip === 'v') y = -y;
+    return { x, y };
+}
+
+function bindCrop(f) {
+    const stage = document.getElementById(`stage-${f.id}`);
+    const box = document.getElementById(`crop-${f.id}`);
+
+    box.addEventListener('pointerdown', e => {
+        e.preventDefault();
+        box.setPointerCapture(e.pointerId);
+        const resize = e.target.classList.contains('crop-handle');
+        const origin = { x: e.clientX, y: e.clientY, box: { ...f.cropBox } };
+
+        const move = ev => {
+            const d = toLocalDelta(f.settings, ev.clientX - origin.x, ev.clientY - origin.y);
+            const dx = d.x / stage.offsetWidth;
+            const dy = d.y / stage.offsetHeight;
+            const o = origin.box;
+            if (resize) {
+                f.cropBox.w = clamp(o.w + dx, 0.05, 1 - o.x);
+                f.cropBox.h = clamp(o.h + dy, 0.05, 1 - o.y);
+            } else {
+                f.cropBox.x = clamp(o.x + dx, 0, 1 - o.w);
+                f.cropBox.y = clamp(o.y + dy, 0, 1 - o.h);
+            }
+            drawCrop(f);
+        };
+        box.addEventListener('pointermove', move);
+        box.addEventListener('pointerup', () => box.removeEventListener('pointermove', move), { once: true });
+    });
+}
+
+// Keeps the preview (and so crop coordinates) in the same orientation the converter will decode.
+function applyOrientation(f) {
+    document.getElementById(`media-${f.id}`).style.imageOrientation = f.settings.orient === 'no' ? 'none' : 'from-image';
+    if (f.cropBox) drawCrop(f);
+}
+
+function updateTransform(id, key, val) {
+    const f = files.find(x => x.id === id);
+    f.settings[key] = val;
+    applyTransform(f);
+}
+
+function applyTransform(f) {
+    const sx = f.settings.flip === 'h' ? -1 : 1;
+    const sy = f.settings.flip === 'v' ? -1 : 1;
+    document.getElementById(`stage-${f.id}`).style.transform = `rotate(${f.settings.rotate}deg) scale(${sx}, ${sy})`;
+}
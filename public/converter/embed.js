@@ -0,0 +1,66 @@
+// postMessage bridge for pages that embed the converter in an iframe or open it in a popup. COOP cuts the
+// link to cross-origin openers, so popups only work from the same origin. The engine needs SharedArrayBuffer,
+// which a frame only gets when it is cross-origin isolated: the embedding page must itself send COOP/COEP
+// headers and frame the converter with <iframe allow="cross-origin-isolated">. Otherwise the ready message
+// says so and every conversion fails with that reason. Requests are only taken from the origins in
+// EMBED_ORIGINS; anything else is ignored without a reply.
+//
+// Requests:  { type: 'convert', id, file, options }   options as for convert() in core/index.js, without callbacks
+//            { type: 'cancel', id }
+// Replies:   { type: 'ready', engine, message }        once, when the page has loaded; engine is false (with
+//                                                      the reason in message) when conversions cannot run
+//            { type: 'state', id, state, message }
+//            { type: 'progress', id, ratio }
+//            { type: 'result', id, files }             always an array of File, several when split
+//            { type: 'error', id, message, cancelled }
+
+import { convert } from './core/index.js';
+
+const embedJobs = new Map();
+
+// The converter's own origin, plus the sites allowed to embed it. Without the check, any page could make a
+// visitor's browser convert files for it. 'null' (sandboxed frames, file: pages) can never be listed: a reply
+// cannot be addressed to it.
+const EMBED_ORIGINS = [location.origin];
+
+const ISOLATION_ERROR = "The converter is not cross-origin isolated, so its engine cannot run here. "
+    + "Serve the embedding page with COOP/COEP headers and add allow=\"cross-origin-isolated\" to the iframe.";
+
+window.addEventListener('message', async ({ data, source, origin }) => {
+    if (!source || source === window || !data || typeof data !== 'object') return;
+    if (origin === 'null' || !EMBED_ORIGINS.includes(origin)) return;
+    const reply = msg => source.postMessage({ ...msg, id: data.id }, origin);
+
+    if (data.type === 'cancel') {
+        const controller = embedJobs.get(data.id);
+        if (controller) controller.abort();
+        return;
+    }
+    if (data.type !== 'convert') return;
+    if (!crossOriginIsolated) return reply({ type: 'error', message: ISOLATION_ERROR });
+    if (!(data.file instanceof Blob)) return reply({ type: 'error', message: "file must be a File or Blob" });
+
+    // A bare Blob has no name to guess the format from; options.name can supply one.
+    const { name, ...options } = data.options || {};
+    const file = data.file instanceof File ? data.file : new File([data.file], name || 'input', { type: data.file.type });
+    const controller = new AbortController();
+    embedJobs.set(data.id, controller);
+    try {
+        const out = await convert(file, {
+            ...options,
+            signal: controller.signal,
+            onState: (state, message) => reply({ type: 'state', state, message }),
+            onProgress: ratio => reply({ type: 'progress', ratio })
+        });
+        reply({ type: 'result', files: Array.isArray(out) ? out : [out] });
+    } catch (e) {
+        reply({ type: 'error', message: e.message, cancelled: !!e.cancelled });
+    } finally {
+        embedJobs.delete(data.id);
+    }
+});
+
+const embedder = window.parent !== window ? window.parent : window.opener;
+if (embedder) {
+    embedder.postMessage(crossOriginIsolated ? { type: 'ready', engine: true } : { type: 'ready', engine: false, message: ISOLATION_ERROR }, '*');
+}
@@ -0,0 +1,133 @@
+// Preset panel and batch apply. Built-ins live in core/presets.js; user presets in localStorage.
+
+// Stored presets are validated again on load: localStorage is shared with anything else on the origin.
+function loadPresets() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem('presets'));
+    } catch (e) {
+        return [];
+    }
+    if (!Array.isArray(stored)) return [];
+    return stored.filter(p => p && /^\w+$/.test(p.id)).map(normalizePreset).filter(Boolean);
+}
+
+function savePresets(list) {
+    localStorage.setItem('presets', JSON.stringify(list));
+    renderPresetControls();
+}
+
+function allPresets() { return [...BUILTIN_PRESETS, ...loadPresets()]; }
+function findPreset(id) { return allPresets().find(p => p.id === id) || null; }
+
+function getDefaultPreset(type) {
+    try {
+        return (JSON.parse(localStorage.getItem('defaultPresets')) || {})[type] || '';
+    } catch (e) {
+        return '';
+    }
+}
+
+function setDefaultPreset(type, id) {
+    const defaults = JSON.parse(localStorage.getItem('defaultPresets') || '{}');
+    defaults[type] = id;
+    localStorage.setItem('defaultPresets', JSON.stringify(defaults));
+}
+
+function applyPresetToSelected() {
+    const preset = findPreset(dom.presetSelect.value);
+    if (!preset) return showToast("Choose a preset first", true);
+    const selected = files.filter(f => f.selected);
+    if (!selected.length) return showToast("Select at least one file", true);
+
+    const matching = selected.filter(f => f.type === preset.type && f.status !== 'done' && !f.job);
+    matching.forEach(f => {
+        applyPresetValues(f, preset);
+        refreshOptions(f);
+    });
+    const skipped = selected.length - matching.length;
+    showToast(`${preset.name} applied to ${matching.length} file(s)${skipped ? `, ${skipped} skipped` : ''}`);
+}
+
+function saveCardPreset(id) {
+    const f = files.find(x => x.id === id);
+    const name = prompt("Preset name", `${f.target.toUpperCase()} ${f.type}`);
+    if (!name) return;
+
+    const preset = normalizePreset({ name, type: f.type, target: f.target, settings: f.settings });
+    if (!preset) return showToast("Preset names are plain text up to 60 characters, without < or >", true);
+    preset.id = Math.random().toString(36).substr(2, 9);
+    savePresets([...loadPresets(), preset]);
+    showToast(`Preset "${preset.name}" saved`);
+}
+
+function deletePreset(id) {
+    ['video', 'audio', 'image'].forEach(type => {
+        if (getDefaultPreset(type) === id) setDefaultPreset(type, '');
+    });
+    savePresets(loadPresets().filter(p => p.id !== id));
+}
+
+function exportPresets() {
+    const blob = new Blob([JSON.stringify(loadPresets(), null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = "converter-presets.json";
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function importPresets(file) {
+    if (!file) return;
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (e) {
+        return showToast(`Invalid JSON: ${file.name}`, true);
+    }
+
+    const incoming = (Array.isArray(data) ? data : [data]).map(normalizePreset);
+    const valid = incoming.filter(Boolean);
+    valid.forEach(p => { p.id = Math.random().toString(36).substr(2, 9); });
+    savePresets([...loadPresets(), ...valid]);
+
+    const rejected = incoming.length - valid.length;
+    showToast(`${valid.length} preset(s) imported${rejected ? `, ${rejected} invalid` : ''}`, !valid.length);
+}
+
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function presetOptions(list, selected, emptyLabel) {
+    return `<option value="">${emptyLabel}</option>` + list.map(p => `<option value="${p.id}" ${p.id === selected ? 'selected' : ''}>${escapeHTML(p.name)}</option>`).join('');
+}
+
+function renderPresetControls() {
+    const presets = allPresets();
+    dom.presetSelect.innerHTML = presetOptions(presets, dom.presetSelect.value, 'Preset...');
+
+    document.getElementById('preset-defaults').innerHTML = ['video', 'audio', 'image'].map(type => `
+        <div class="flex flex-col">
+            <label class="text-[10px] text-slate-400 font-bold uppercase mb-1">Default ${type}</label>
+            <select onchange="setDefaultPreset('${type}', this.value)" class="opt-input">${presetOptions(presets.filter(p => p.type === type), getDefaultPreset(type), 'None')}</select>
+        </div>
+    `).join('');
+
+    document.getElementById('preset-list').innerHTML = presets.map(p => `
+        <div class="flex items-center gap-2 text-sm px-2 py-1.5 rounded-lg hover:bg-slate-50">
+            <span class="flex-1 truncate font-medium text-slate-700">${escapeHTML(p.name)}</span>
+            <span class="text-[10px] font-bold uppercase text-slate-400">${p.type} → ${p.target}</span>
+            ${p.builtin ? '<span class="text-[10px] font-bold uppercase text-slate-300 w-5"></span>' : `<button onclick="deletePreset('${p.id}')" class="text-slate-300 hover:text-red-500 w-5" title="Delete">&times;</button>`}
+        </div>
+    `).join('');
+}
+
+function openPresetPanel() {
+    renderPresetControls();
+    document.getElementById('preset-panel').classList.remove('hidden');
+}
+
+function closePresetPanel() {
+    document.getElementById('preset-panel').classList.add('hidden');
+}
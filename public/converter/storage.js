@@ -0,0 +1,111 @@
+// Large files: results written straight to a folder (File System Access API), streamed ZIP export
+// and a rough memory check before conversions that are likely to crash the tab.
+
+let outputDir = null;
+
+async function chooseOutputDir() {
+    try {
+        outputDir = await showDirectoryPicker({ id: 'converter-output', mode: 'readwrite' });
+    } catch (e) {
+        return; // picker dismissed
+    }
+    document.getElementById('output-dir-btn').innerText = `💾 ${outputDir.name}`;
+    showToast(`Results will be saved to ${outputDir.name}`);
+}
+
+async function saveToDir(name, blob) {
+    const handle = await outputDir.getFileHandle(name, { create: true });
+    // pipeTo closes the writable once the whole blob has been written.
+    await blob.stream().pipeTo(await handle.createWritable());
+}
+
+// Writes the ZIP chunk by chunk, pausing JSZip while the disk catches up, so the archive is never held whole.
+async function streamZip(zip, writable) {
+    try {
+        await new Promise((resolve, reject) => {
+            const helper = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+            helper
+                .on('data', chunk => {
+                    helper.pause();
+                    writable.write(chunk).then(() => helper.resume(), reject);
+                })
+                .on('error', reject)
+                .on('end', resolve)
+                .resume();
+        });
+    } catch (e) {
+        // Discards what was written so far instead of leaving a truncated archive behind.
+        await writable.abort().catch(() => {});
+        throw e;
+    }
+    await writable.close();
+}
+
+// Without a save picker the ZIP is streamed through the service worker as an ordinary download (see sw.js):
+// each chunk is generated only when the browser asks for the next one. Resolves false when no service
+// worker controls the page yet, so the caller can fall back to building the archive in memory.
+async function streamDownload(zip, name) {
+    const sw = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (!sw) return false;
+
+    const id = Math.random().toString(36).substr(2, 9);
+    const { port1, port2 } = new MessageChannel();
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+
+    const helper = zip.generateInternalStream({ type: 'uint8array', streamFiles: true });
+    helper
+        .on('data', chunk => {
+            helper.pause();
+            port1.postMessage({ chunk });
+        })
+        .on('error', e => {
+            port1.postMessage({ error: e.message });
+            frame.remove();
+            showToast(`ZIP export failed: ${e.message}`, true);
+        })
+        .on('end', () => {
+            port1.postMessage({ done: true });
+            frame.remove();
+        });
+
+    await new Promise(resolve => {
+        port1.onmessage = ({ data }) => {
+            if (data === 'registered') resolve();
+            else if (data === 'pull') helper.resume();
+            else if (data === 'cancel') { helper.pause(); frame.remove(); }
+        };
+        sw.postMessage({ type: 'download', id }, [port2]);
+    });
+    frame.src = `download/${id}/${encodeURIComponent(name)}`;
+    document.body.appendChild(frame);
+    return true;
+}
+
+function memoryBudget() {
+    // jsHeapSizeLimit is Chromium-only; elsewhere assume a quarter of the reported device memory.
+    if (performance.memory) return performance.memory.jsHeapSizeLimit;
+    return (navigator.deviceMemory || 4) * 1024 ** 3 / 4;
+}
+
+function memoryNeeded(f) {
+    const input = inputBytes(f);
+    const output = estimateSize(f) || input;
+    const v = f.info && f.info.video;
+    // The canvas path holds the decoded RGBA bitmap and the rendered copy.
+    if (f.type === 'image') return input + output + (v && v.width ? v.width * v.height * 4 * 2 : 0);
+    // Inputs are read in place (WORKERFS); MEMFS holds the output, which is copied once more when read back.
+    return output * 2;
+}
+
+// Asks before converting files that probably do not fit; returns the ones to go ahead with.
+function confirmMemory(list) {
+    const budget = memoryBudget();
+    const risky = list.filter(f => memoryNeeded(f) > budget);
+    if (!risky.length) return list;
+
+    const mb = bytes => Math.round(bytes / 1024 / 1024);
+    const names = risky.map(f => `• ${f.label || f.file.name} (≈ ${mb(memoryNeeded(f))} MB)`).join('\n');
+    if (confirm(`These files may need more memory than the browser allows (≈ ${mb(budget)} MB) and could crash the tab:\n${names}\n\nConvert them anyway?`)) return list;
+    return list.filter(f => !risky.includes(f));
+}
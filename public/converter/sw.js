@@ -0,0 +1,114 @@
+// Service worker: precaches the app shell and the ffmpeg core so the converter runs fully offline.
+// Requests go to the network first and the cache only answers offline, so a deploy is picked up on the next
+// load without renaming the cache.
+const CACHE = 'converter';
+
+const ASSETS = [
+    './',
+    'index.html',
+    'style.css',
+    'tailwind.js',
+    'jszip.js',
+    'presets.js',
+    'editor.js',
+    'animation.js',
+    'storage.js',
+    'audio.js',
+    'app.js',
+    'embed.js',
+    'core/index.js',
+    'core/pool.js',
+    'core/probe.js',
+    'core/animation.js',
+    'core/imaging.js',
+    'core/audio.js',
+    'core/presets.js',
+    'worker.js',
+    'avif-worker.js',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'ffmpeg/ffmpeg-core.js',
+    'ffmpeg/ffmpeg-core.wasm.gz',
+    'ffmpeg/ffmpeg-core.worker.js',
+    'avif/avif_enc.js',
+    'avif/avif_enc.wasm'
+];
+
+self.addEventListener('install', e => {
+    // no-cache: revalidate with the server rather than precache whatever the HTTP cache holds.
+    const requests = ASSETS.map(asset => new Request(asset, { cache: 'no-cache' }));
+    e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(requests)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+    e.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Streamed downloads (see streamDownload in storage.js): the page hands over a MessagePort, then opens
+// download/<id>/<name>; the response body is pulled from the port chunk by chunk.
+const downloads = new Map();
+const DOWNLOAD_PATH = new URL('download/', self.registration.scope).pathname;
+
+self.addEventListener('message', e => {
+    if (!e.data || e.data.type !== 'download') return;
+    const port = e.ports[0];
+    downloads.set(e.data.id, port);
+    port.postMessage('registered');
+});
+
+function downloadResponse(id, name) {
+    const port = downloads.get(id);
+    if (!port) return new Response('Download expired', { status: 404 });
+    downloads.delete(id);
+
+    const body = new ReadableStream({
+        pull(controller) {
+            return new Promise(resolve => {
+                port.onmessage = ({ data }) => {
+                    if (data.error) controller.error(new Error(data.error));
+                    else if (data.done) controller.close();
+                    else controller.enqueue(data.chunk);
+                    resolve();
+                };
+                port.postMessage('pull');
+            });
+        },
+        cancel() { port.postMessage('cancel'); }
+    });
+    return new Response(body, {
+        headers: {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(name)}`,
+            'Cross-Origin-Embedder-Policy': 'require-corp',
+            'Cross-Origin-Resource-Policy': 'same-origin'
+        }
+    });
+}
+
+// Cached responses keep the COOP/COEP headers they were fetched with, so cross-origin isolation survives offline.
+self.addEventListener('fetch', e => {
+    const url = new URL(e.request.url);
+    if (e.request.method !== 'GET' || url.origin !== location.origin) return;
+
+    if (url.pathname.startsWith(DOWNLOAD_PATH)) {
+        const [id, name] = url.pathname.slice(DOWNLOAD_PATH.length).split('/');
+        return e.respondWith(downloadResponse(id, decodeURIComponent(name || 'download')));
+    }
+
+    // Stored without the query string (?preset=...), so each file has one entry.
+    const key = url.origin + url.pathname;
+    e.respondWith(
+        fetch(e.request).then(res => {
+            if (res.ok) {
+                const copy = res.clone();
+                caches.open(CACHE).then(cache => cache.put(key, copy));
+            }
+            return res;
+        }).catch(() => caches.match(key).then(hit => hit || Response.error()))
+    );
+});
@@ -0,0 +1,146 @@
+// Web Worker hosting one ffmpeg.wasm core; runs the commands posted by the job pool in core/pool.js.
+// Served from public/converter/ffmpeg so the engine also loads offline (see sw.js).
+const CORE_URL = new URL('ffmpeg/ffmpeg-core.js', self.location).href;
+const PTHREAD_URL = new URL('ffmpeg/ffmpeg-core.worker.js', self.location).href;
+// Gzipped because the raw wasm is over the 25 MiB per-file limit of the static asset host.
+const WASM_URL = new URL('ffmpeg/ffmpeg-core.wasm.gz', self.location).href;
+
+// Inputs are mounted here read-only and linked into / under their job names.
+const INPUT_DIR = '/input';
+
+let Core = null;
+let log = [];
+let stdout = [];
+// Set when the core aborts (out of memory, for instance). exec() swallows the abort and returns, but the core is
+// left unusable, so the pool replaces this worker.
+let broken = false;
+let duration = null;
+let pass = { index: 0, count: 1 };
+
+const coreReady = (async () => {
+    if (typeof SharedArrayBuffer === 'undefined') {
+        throw new Error("SharedArrayBuffer is unavailable, the page must be served with COOP/COEP headers");
+    }
+    importScripts(CORE_URL);
+    Core = await createFFmpegCore({
+        // The core reads the wasm and pthread worker locations from the hash of its own URL.
+        mainScriptUrlOrBlob: `${CORE_URL}#${btoa(JSON.stringify({ wasmURL: WASM_URL, workerURL: PTHREAD_URL }))}`,
+        wasmBinary: await fetchWasm(),
+        onAbort: () => { broken = true; }
+    });
+    // ffprobe writes its JSON report to stdout; everything else ffmpeg says goes to stderr.
+    Core.setLogger(({ type, message }) => (type === 'stdout' ? stdout.push(message) : handleLine(message)));
+})();
+
+coreReady.then(
+    () => self.postMessage({ type: 'ready' }),
+    (e) => self.postMessage({ type: 'fatal', message: `Engine failed to load: ${e.message || e}` })
+);
+
+async function fetchWasm() {
+    const res = await fetch(WASM_URL);
+    if (!res.ok) throw new Error(`${WASM_URL} returned ${res.status}`);
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    // Hosts that send it with Content-Encoding: gzip have unpacked it already; the gzip magic number tells.
+    if (bytes[0] !== 0x1f || bytes[1] !== 0x8b) return bytes;
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function toSeconds(h, m, s) { return Number(h) * 3600 + Number(m) * 60 + Number(s); }
+
+function handleLine(message) {
+    log.push(message);
+
+    let m;
+    if (!duration && (m = message.match(/^\s*Duration: (\d+):(\d+):([\d.]+)/))) {
+        duration = toSeconds(m[1], m[2], m[3]);
+    } else if (duration && (m = message.match(/time=(\d+):(\d+):([\d.]+)/))) {
+        const ratio = Math.min(1, toSeconds(m[1], m[2], m[3]) / duration);
+        self.postMessage({ type: 'progress', ratio: (pass.index + ratio) / pass.count });
+    }
+}
+
+// Returns ffmpeg's exit code. ffprobe's is not meaningful (it returns -1 on success too); its report tells instead.
+function run(tool, args) {
+    try {
+        if (tool !== 'ffprobe') return Core.exec(...args);
+        Core.ffprobe(...args);
+        return 0;
+    } finally {
+        Core.reset();
+    }
+}
+
+function unlink(name) {
+    try { Core.FS.unlink(name); } catch (e) {}
+}
+
+function collected(job) {
+    return job.collect ? Core.FS.readdir('/').filter(name => name.startsWith(job.collect)) : [];
+}
+
+// WORKERFS reads the input Files in place, so they are never copied into wasm memory. The links keep the
+// plain names the commands were built with.
+function mountInputs(inputs) {
+    Core.FS.mkdir(INPUT_DIR);
+    Core.FS.mount(Core.FS.filesystems.WORKERFS, { blobs: inputs.map(({ name, file }) => ({ name, data: file })) }, INPUT_DIR);
+    inputs.forEach(({ name }) => Core.FS.symlink(`${INPUT_DIR}/${name}`, name));
+}
+
+function unmountInputs(inputs) {
+    inputs.forEach(({ name }) => unlink(name));
+    try {
+        Core.FS.unmount(INPUT_DIR);
+        Core.FS.rmdir(INPUT_DIR);
+    } catch (e) {}
+}
+
+self.onmessage = async ({ data: job }) => {
+    try {
+        await coreReady;
+    } catch (e) {
+        return;
+    }
+    log = [];
+    stdout = [];
+    duration = job.duration || null;
+    const outputs = {};
+    const transfer = [];
+    let code = 0;
+
+    try {
+        mountInputs(job.inputs);
+        // A failed pass ends the job: the next one would read its missing or partial output.
+        for (let i = 0; i < job.commands.length && !code && !broken; i++) {
+            pass = { index: i, count: job.commands.length };
+            code = run(job.tool, job.commands[i]);
+        }
+        // Each output leaves MEMFS as soon as it is read, so only one copy of it exists at a time.
+        if (!code && !broken) [...job.outputs, ...collected(job)].forEach(name => {
+            try {
+                outputs[name] = Core.FS.readFile(name);
+                transfer.push(outputs[name].buffer);
+            } catch (e) {}
+            unlink(name);
+        });
+    } catch (e) {
+        // Usually a RangeError from an output that does not fit in memory.
+        log.push(`Error: ${e.message || e}`);
+        code = code || 1;
+    } finally {
+        // A failed job must not leave its files behind for the next one in this worker. If even that fails, the
+        // worker is not fit for another job, but the pool must still hear that this one ended.
+        try {
+            [...job.outputs, ...collected(job)].forEach(unlink);
+            unmountInputs(job.inputs);
+            // Scratch files such as two-pass logs are written under /tmp.
+            Core.FS.readdir('/tmp').filter(name => name !== '.' && name !== '..').forEach(name => unlink(`/tmp/${name}`));
+        } catch (e) {
+            log.push(`Error: ${e.message || e}`);
+            broken = true;
+        }
+    }
+
+    self.postMessage({ type: 'done', code, broken, outputs, log, stdout }, transfer);
+};
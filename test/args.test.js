@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildArgs } from '../public/converter/core/index.js';
+import { AUDIO_INFO, entry } from './helpers.js';
+
+const H264 = ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '28'];
+const EVEN = ['-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'];
+
+test('video keeps the source frame rate unless one is chosen', () => {
+    assert.deepEqual(buildArgs(entry('video'), 'in.mp4', 'out.mp4'), ['-i', 'in.mp4', ...EVEN, ...H264, 'out.mp4']);
+    assert.deepEqual(buildArgs(entry('video', { settings: { fps: '24' } }), 'in.mp4', 'out.mp4'),
+        ['-i', 'in.mp4', ...EVEN, '-r', '24', ...H264, 'out.mp4']);
+});
+
+test('video scales to the chosen height with an even width', () => {
+    assert.deepEqual(buildArgs(entry('video', { settings: { res: '720' } }), 'in.mp4', 'out.mp4'),
+        ['-i', 'in.mp4', '-vf', 'scale=-2:720', ...H264, 'out.mp4']);
+});
+
+test('video strips the audio track or re-encodes it at the chosen bitrate', () => {
+    assert.deepEqual(buildArgs(entry('video', { settings: { audio: 'none' } }), 'in.mp4', 'out.mp4'),
+        ['-i', 'in.mp4', ...EVEN, ...H264, '-an', 'out.mp4']);
+    assert.deepEqual(buildArgs(entry('video', { settings: { audio: '128k' } }), 'in.mp4', 'out.mp4'),
+        ['-i', 'in.mp4', ...EVEN, ...H264, '-c:a', 'aac', '-b:a', '128k', 'out.mp4']);
+});
+
+test('audio uses the chosen bitrate and channel count', () => {
+    assert.deepEqual(buildArgs(entry('audio', { settings: { bitrate: '192k', channels: '1' } }), 'in.mp3', 'out.mp3'),
+        ['-i', 'in.mp3', '-vn', '-c:a', 'libmp3lame', '-b:a', '192k', '-ac', '1', 'out.mp3']);
+    assert.deepEqual(buildArgs(entry('audio', { target: 'ogg', settings: { channels: '2' } }), 'in.mp3', 'out.ogg'),
+        ['-i', 'in.mp3', '-vn', '-c:a', 'libvorbis', '-b:a', '128k', '-ac', '2', 'out.ogg']);
+});
+
+test('audio keeps the source channels by default', () => {
+    assert.deepEqual(buildArgs(entry('audio'), 'in.mp3', 'out.mp3'), ['-i', 'in.mp3', '-vn', '-c:a', 'libmp3lame', '-b:a', '128k', 'out.mp3']);
+});
+
+test('images scale by percentage', () => {
+    assert.deepEqual(buildArgs(entry('image', { settings: { scale: '50' } }), 'in.png', 'out.png'),
+        ['-i', 'in.png', '-vf', 'scale=trunc(iw*50/100):-1', 'out.png']);
+});
+
+test('JPEG quality maps onto the -q:v scale', () => {
+    assert.deepEqual(buildArgs(entry('image', { target: 'jpg', settings: { qual: '90' } }), 'in.png', 'out.jpg'), ['-i', 'in.png', '-q:v', '5', 'out.jpg']);
+    assert.deepEqual(buildArgs(entry('image', { target: 'jpg', settings: { qual: '70' } }), 'in.png', 'out.jpg'), ['-i', 'in.png', '-q:v', '11', 'out.jpg']);
+});
+
+test('WebP quality is passed through', () => {
+    assert.deepEqual(buildArgs(entry('image', { target: 'webp', settings: { qual: '50' } }), 'in.png', 'out.webp'),
+        ['-i', 'in.png', '-quality', '50', 'out.webp']);
+});
+
+test('grayscale desaturates after scaling', () => {
+    assert.deepEqual(buildArgs(entry('image', { settings: { gray: 'yes' } }), 'in.png', 'out.png'), ['-i', 'in.png', '-vf', 'hue=s=0', 'out.png']);
+    assert.deepEqual(buildArgs(entry('image', { target: 'jpg', settings: { qual: '70', gray: 'yes', scale: '50' } }), 'in.png', 'out.jpg'),
+        ['-i', 'in.png', '-vf', 'scale=trunc(iw*50/100):-1,hue=s=0', '-q:v', '11', 'out.jpg']);
+});
+
+test('animated WebP uses libwebp and lets the muxer write the play count', () => {
+    assert.deepEqual(buildArgs(entry('video', { target: 'webp', settings: { fps: '12', width: '480', loop: '3' } }), 'in.mp4', 'out.webp'), [
+        '-i', 'in.mp4', '-vf', 'fps=12,scale=480:-1:flags=lanczos',
+        '-c:v', 'libwebp', '-lossless', '0', '-quality', '75', '-loop', '3', '-an', 'out.webp'
+    ]);
+});
+
+test('audio targets leave out cover art instead of encoding it as video', () => {
+    const info = { ...AUDIO_INFO, streams: [...AUDIO_INFO.streams, { index: 1, kind: 'video', codec: 'mjpeg', width: 500, height: 500, cover: true }] };
+    assert.deepEqual(buildArgs(entry('audio', { target: 'm4a', info }), 'in.mp3', 'out.m4a'),
+        ['-i', 'in.mp3', '-vn', '-c:a', 'aac', '-b:a', '128k', 'out.m4a']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { audioFilterArgs, concatArgs, joinEntry, planSilence, splitArgs } from '../public/converter/core/index.js';
+import { entry } from './helpers.js';
+
+const H264 = ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '28'];
+const EVEN = ['-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2'];
+
+test('audioFilterArgs chains atempo for factors outside 0.5 to 2', () => {
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { speed: '1.5' } })), ['-af', 'atempo=1.5']);
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { speed: '0.25' } })), ['-af', 'atempo=0.5,atempo=0.5']);
+    // 2x speed two semitones down needs a 2.245x stretch once the resampling has slowed it.
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { speed: '2', pitch: '-2' } })),
+        ['-af', 'asetrate=39289,aresample=44100,atempo=2,atempo=1.122462']);
+});
+
+test('audioFilterArgs shifts pitch by resampling and keeps the length', () => {
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { pitch: '1' } })),
+        ['-af', 'asetrate=46722,aresample=44100,atempo=0.943874']);
+});
+
+test('audioFilterArgs starts the fade out before the end of the trimmed range', () => {
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { fadeOut: '3' } })), ['-af', 'afade=t=out:st=177:d=3']);
+    assert.deepEqual(audioFilterArgs(entry('audio', { settings: { start: 10, end: 70, fadeIn: '1', fadeOut: '3' } })),
+        ['-af', 'atrim=start=10:end=70,asetpts=PTS-STARTPTS,afade=t=in:st=0:d=1,afade=t=out:st=57:d=3']);
+
+    const unknown = entry('audio', { settings: { fadeOut: '3' } });
+    unknown.info.duration = null;
+    assert.throws(() => audioFilterArgs(unknown), /Fade out needs a known duration/);
+});
+
+test('planSilence trims leading and trailing silence and splits in the middle of the rest', () => {
+    const silences = [{ start: 0, end: 2 }, { start: 50, end: 52 }, { start: 100, end: 101 }, { start: 178, end: null }];
+    assert.deepEqual(planSilence(entry('audio', { settings: { silence: 'trim' } }), silences), { start: 2, end: 178, points: [49, 98.5] });
+});
+
+test('planSilence places split points in output time', () => {
+    const silences = [{ start: 0, end: 2 }, { start: 50, end: 52 }, { start: 100, end: 101 }];
+    assert.deepEqual(planSilence(entry('audio', { settings: { split: 'silence', speed: '2' } }), silences), { start: 0, end: null, points: [25.5, 50.25] });
+});
+
+test('planSilence refuses a file that is silent throughout', () => {
+    assert.throws(() => planSilence(entry('audio', { settings: { silence: 'trim' } }), [{ start: 0, end: null }]), /only silence/);
+});
+
+test('concatArgs conforms audio parts and trims each one', () => {
+    const f = joinEntry('join', [entry('audio', { name: 'a.mp3' }), entry('audio', { name: 'b.mp3', settings: { start: 5, end: 20 } })]);
+    assert.deepEqual(concatArgs(f, ['a.mp3', 'b.mp3'], 'out.mp3'), [
+        '-i', 'a.mp3', '-i', 'b.mp3', '-filter_complex',
+        '[0:a:0]aresample=44100,aformat=channel_layouts=stereo[a0];' +
+        '[1:a:0]atrim=start=5:end=20,asetpts=PTS-STARTPTS,aresample=44100,aformat=channel_layouts=stereo[a1];' +
+        '[a0][a1]concat=n=2:v=0:a=1[a]',
+        '-map', '[a]', '-c:a', 'libmp3lame', '-b:a', '128k', 'out.mp3'
+    ]);
+});
+
+test('concatArgs scales video parts to one size and frame rate', () => {
+    const f = joinEntry('join', [entry('video', { name: 'a.mp4' }), entry('video', { name: 'b.mp4' })]);
+    f.settings.res = '720';
+    const part = i => `[${i}:v:0]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v${i}];` +
+        `[${i}:a:0]aresample=44100,aformat=channel_layouts=stereo[a${i}]`;
+    assert.deepEqual(concatArgs(f, ['a.mp4', 'b.mp4'], 'out.mp4'), [
+        '-i', 'a.mp4', '-i', 'b.mp4', '-filter_complex', `${part(0)};${part(1)};[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]`,
+        '-map', '[v]', ...H264, '-map', '[a]', '-c:a', 'aac', '-b:a', '128k', 'out.mp4'
+    ]);
+});
+
+test('splitArgs cuts fixed-length chunks with the segment muxer', () => {
+    assert.deepEqual(splitArgs(entry('audio', { settings: { split: '60' } }), 'in.mp3', 'out_test_'), [
+        '-i', 'in.mp3', '-vn', '-c:a', 'libmp3lame', '-b:a', '128k',
+        '-f', 'segment', '-segment_time', '60', '-reset_timestamps', '1', 'out_test_%03d.mp3'
+    ]);
+    assert.deepEqual(splitArgs(entry('video', { settings: { split: '60' } }), 'in.mp4', 'out_test_'), [
+        '-i', 'in.mp4', ...EVEN, ...H264, '-force_key_frames', 'expr:gte(t,n_forced*60)',
+        '-f', 'segment', '-segment_time', '60', '-reset_timestamps', '1', 'out_test_%03d.mp4'
+    ]);
+});
+
+test('splitArgs cuts at the planned silences, with a keyframe at each cut', () => {
+    const plan = { start: 2, end: null, points: [12.5, 40] };
+    assert.deepEqual(splitArgs(entry('video', { settings: { split: 'silence' } }), 'in.mp4', 'out_test_', plan), [
+        '-ss', '2', '-i', 'in.mp4', ...EVEN, ...H264, '-force_key_frames', '12.5,40',
+        '-f', 'segment', '-segment_times', '12.5,40', '-reset_timestamps', '1', 'out_test_%03d.mp4'
+    ]);
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applySettings, buildArgs, buildCommands, estimateSize, outputName, sizable, sizeBudget } from '../public/converter/core/index.js';
+import { entry } from './helpers.js';
+
+test('outputName prefixes the base name and uses the target extension', () => {
+    assert.equal(outputName(entry('video', { name: 'holiday.mov', target: 'webm' })), 'converted_holiday.webm');
+    assert.equal(outputName(entry('audio', { name: 'talk.wav', target: 'mp3' })), 'converted_talk.mp3');
+});
+
+test('outputName gives the favicon set a .zip extension', () => {
+    assert.equal(outputName(entry('image', { name: 'logo.png', target: 'favicon' })), 'converted_logo.zip');
+});
+
+test('buildArgs trims video by seeking in the input', () => {
+    assert.deepEqual(buildArgs(entry('video', { settings: { start: 5, end: 20 } }), 'in.mp4', 'out.mp4'), [
+        '-ss', '5', '-t', '15', '-i', 'in.mp4',
+        '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-crf', '28', 'out.mp4'
+    ]);
+    assert.deepEqual(buildArgs(entry('video', { settings: { start: 1.1, end: 5.3 } }), 'in.mp4', 'out.mp4').slice(0, 6),
+        ['-ss', '1.1', '-t', '4.2', '-i', 'in.mp4']);
+    assert.deepEqual(buildArgs(entry('video', { settings: { end: 20 } }), 'in.mp4', 'out.mp4').slice(0, 4), ['-t', '20', '-i', 'in.mp4']);
+});
+
+test('buildArgs extracts MP3 from video without the picture', () => {
+    assert.deepEqual(buildArgs(entry('video', { target: 'mp3', settings: { audio: '128k' } }), 'in.mp4', 'out.mp3'),
+        ['-i', 'in.mp4', '-vn', '-c:a', 'libmp3lame', '-b:a', '128k', 'out.mp3']);
+});
+
+test('buildArgs maps the chosen subtitle stream for subtitle targets', () => {
+    const info = {
+        container: 'matroska,webm', duration: 60, bitrate: null,
+        streams: [{ index: 0, kind: 'video', codec: 'h264', width: 1280, height: 720, fps: 24 }, { index: 2, kind: 'subtitle', codec: 'subrip' }]
+    };
+    assert.deepEqual(buildArgs(entry('video', { target: 'srt', info }), 'in.mkv', 'out.srt'),
+        ['-i', 'in.mkv', '-map', '0:2', '-c:s', 'subrip', 'out.srt']);
+});
+
+test('buildCommands runs a single pass without a target size', () => {
+    const f = entry('video');
+    assert.deepEqual(buildCommands(f, 'in.mp4', 'out.mp4'), [buildArgs(f, 'in.mp4', 'out.mp4')]);
+});
+
+test('buildCommands encodes target-size video in two passes sharing one pass log', () => {
+    const [pass1, pass2] = buildCommands(entry('video', { settings: { size: '8', audio: '128k' } }), 'in.mp4', 'out.mp4');
+    const video = ['-i', 'in.mp4', '-vf', 'scale=trunc(iw/2)*2:trunc(ih/2)*2', '-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-b:v', '956k'];
+    assert.deepEqual(pass1, [...video, '-an', '-pass', '1', '-passlogfile', '/tmp/pass_test', '-f', 'null', '-']);
+    assert.deepEqual(pass2, [...video, '-c:a', 'aac', '-b:a', '128k', '-pass', '2', '-passlogfile', '/tmp/pass_test', 'out.mp4']);
+});
+
+test('buildCommands fits target-size audio with a single bitrate pass', () => {
+    assert.deepEqual(buildCommands(entry('audio', { settings: { size: '1' } }), 'in.mp3', 'out.mp3'),
+        [['-i', 'in.mp3', '-vn', '-c:a', 'libmp3lame', '-b:a', '32k', 'out.mp3']]);
+});
+
+test('sizeBudget is null without a size or for targets that cannot be sized', () => {
+    assert.equal(sizeBudget(entry('video')), null);
+    assert.equal(sizeBudget(entry('video', { target: 'gif', settings: { size: '8' } })), null);
+    assert.equal(sizeBudget(entry('audio', { target: 'wav', settings: { size: '8' } })), null);
+    assert.equal(sizeBudget(entry('image', { settings: { size: '8' } })), null);
+});
+
+test('a leftover size is ignored where no size target applies', () => {
+    assert.equal(sizable(entry('video')), true);
+    assert.equal(sizable(entry('audio', { target: 'wav' })), false);
+    assert.equal(sizable(entry('video', { target: 'webp' })), false);
+    // WAV is estimated from its sample rate, not from the size that was set for MP3.
+    const wav = entry('audio', { target: 'wav', settings: { size: '8', channels: '2' } });
+    assert.equal(estimateSize(wav), 44100 * 2 * 2 * 180);
+});
+
+test('sizeBudget gives video what audio leaves of the budget', () => {
+    // 8 MB over 60 s, less 3% overhead, is about 1085 kb/s.
+    assert.deepEqual(sizeBudget(entry('video', { settings: { size: '8', audio: '128k' } })), { video: 956, audio: 128 });
+    assert.deepEqual(sizeBudget(entry('video', { settings: { size: '8', audio: 'none' } })), { video: 1084, audio: 0 });
+});
+
+test('sizeBudget rounds audio down to a standard bitrate', () => {
+    // 1 MB over 3 minutes is about 45 kb/s.
+    assert.deepEqual(sizeBudget(entry('audio', { settings: { size: '1' } })), { video: 0, audio: 32 });
+});
+
+test('sizeBudget rejects sizes that are too small or durations that are unknown', () => {
+    assert.throws(() => sizeBudget(entry('audio', { settings: { size: '0.1' } })), /0\.1 MB is too small for 3:00\.0 of audio/);
+    assert.throws(() => sizeBudget(entry('video', { settings: { size: '0.3' } })), /too small for 1:00\.0 of video/);
+    const unknown = entry('video', { settings: { size: '8' } });
+    unknown.info.duration = null;
+    assert.throws(() => sizeBudget(unknown), /needs a known duration/);
+});
+
+test('applySettings applies valid values and reports the rest', () => {
+    const f = entry('video');
+    assert.deepEqual(applySettings(f, { target: 'webm', res: '720', fps: 24, qual: 'best', bogus: '1', start: '2.5' }), ['qual', 'bogus']);
+    assert.equal(f.target, 'webm');
+    assert.equal(f.settings.res, '720');
+    assert.equal(f.settings.fps, '24');
+    assert.equal(f.settings.qual, 'medium');
+    assert.equal(f.settings.start, 2.5);
+});
+
+test('applySettings rejects targets the source cannot produce', () => {
+    const f = entry('video', { info: { container: 'mov', duration: 10, bitrate: null, streams: [{ index: 0, kind: 'video', codec: 'h264', width: 640, height: 360, fps: 25 }] } });
+    assert.deepEqual(applySettings(f, { target: 'mp3' }), ['target']);
+    assert.deepEqual(applySettings(f, { target: 'srt' }), ['target']);
+    assert.equal(f.target, 'mp4');
+});
+
+test('applySettings clamps choices to what the source allows', () => {
+    const f = entry('video');
+    applySettings(f, { res: '1080' });
+    // The source is 1080p already, so upscaling to it falls back to the original resolution.
+    assert.equal(f.settings.res, 'original');
+});
+
+test('applySettings starts animated targets at 12 fps', () => {
+    const f = entry('video');
+    applySettings(f, { target: 'gif' });
+    assert.equal(f.settings.fps, '12');
+    const g = entry('video');
+    applySettings(g, { target: 'gif', fps: '24' });
+    assert.equal(g.settings.fps, '24');
+});
+
+test('applySettings validates settings edited outside the option selects', () => {
+    const f = entry('image');
+    assert.deepEqual(applySettings(f, { rotate: '90', flip: 'h', bg: '#000000', fitW: '-1', crop: 'x' }), ['fitW', 'crop']);
+    assert.equal(f.settings.rotate, '90');
+    assert.equal(f.settings.flip, 'h');
+    assert.equal(f.settings.bg, '#000000');
+});
+
+test('applySettings accepts a crop rectangle in whole pixels', () => {
+    const f = entry('image');
+    assert.deepEqual(applySettings(f, { crop: { x: 10, y: 0, w: 400, h: 300 } }), []);
+    assert.deepEqual(f.settings.crop, { x: 10, y: 0, w: 400, h: 300 });
+    assert.deepEqual(applySettings(f, { crop: { x: -1, y: 0, w: 400, h: 300 } }), ['crop']);
+    assert.deepEqual(applySettings(f, { crop: { x: 0, y: 0, w: 0.5, h: 300 } }), ['crop']);
+    assert.deepEqual(f.settings.crop, { x: 10, y: 0, w: 400, h: 300 });
+    assert.deepEqual(applySettings(f, { crop: null }), []);
+    assert.equal(f.settings.crop, null);
+});
+
+test('applySettings rejects trim ranges that are empty or start after the source ends', () => {
+    const f = entry('video');
+    assert.deepEqual(applySettings(f, { start: 20, end: 10 }), ['start', 'end']);
+    assert.deepEqual(applySettings(f, { start: 60 }), ['start']);
+    assert.deepEqual([f.settings.start, f.settings.end], [0, null]);
+    assert.deepEqual(applySettings(f, { start: 5, end: 20 }), []);
+    assert.deepEqual(applySettings(f, { end: 5 }), ['end']);
+    assert.deepEqual([f.settings.start, f.settings.end], [5, 20]);
+});
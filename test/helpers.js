@@ -0,0 +1,33 @@
+// Builds conversion entries like createEntry() does, from a made-up probe result instead of a real file.
+
+import { DEFAULTS } from '../public/converter/core/index.js';
+
+const TARGETS = { video: 'mp4', audio: 'mp3', image: 'png' };
+
+export const VIDEO_INFO = {
+    container: 'mov,mp4,m4a,3gp,3g2,mj2', duration: 60, bitrate: 2500,
+    streams: [
+        { index: 0, kind: 'video', codec: 'h264', width: 1920, height: 1080, fps: 30 },
+        { index: 1, kind: 'audio', codec: 'aac', sampleRate: 48000, layout: 'stereo', channels: 2, bitrate: 192 }
+    ]
+};
+
+export const AUDIO_INFO = {
+    container: 'mp3', duration: 180, bitrate: 320,
+    streams: [{ index: 0, kind: 'audio', codec: 'mp3', sampleRate: 44100, layout: 'stereo', channels: 2, bitrate: 320 }]
+};
+
+export const IMAGE_INFO = {
+    container: 'png_pipe', duration: null, bitrate: null,
+    streams: [{ index: 0, kind: 'video', codec: 'png', width: 800, height: 600 }]
+};
+
+const INFO = { video: VIDEO_INFO, audio: AUDIO_INFO, image: IMAGE_INFO };
+
+export function entry(type, { name = `clip.${TARGETS[type]}`, target = TARGETS[type], settings = {}, info = INFO[type] } = {}) {
+    const withStreams = info && { ...info, video: info.streams.find(s => s.kind === 'video') || null, audio: info.streams.find(s => s.kind === 'audio') || null };
+    return {
+        id: 'test', file: { name, size: 1024 * 1024, type: '' }, type, info: withStreams, target,
+        settings: { ...structuredClone(DEFAULTS[type]), ...settings }, status: 'idle', results: [], selected: false
+    };
+}
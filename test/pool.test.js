@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cancelJob, pool, runTask } from '../public/converter/core/index.js';
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+test('runTask keeps page tasks within the pool limit', async () => {
+    pool.limit = 2;
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+    const jobs = gates.map((gate, i) => runTask({ task: () => gate.promise.then(() => i), onStart: () => started.push(i) }));
+
+    assert.deepEqual(started, [0, 1]);
+    gates[0].resolve();
+    assert.equal(await jobs[0].promise, 0);
+    await new Promise(r => setTimeout(r));
+    assert.deepEqual(started, [0, 1, 2]);
+
+    gates[1].resolve();
+    gates[2].resolve();
+    assert.deepEqual(await Promise.all(jobs.map(j => j.promise)), [0, 1, 2]);
+    assert.equal(pool.tasks.length, 0);
+});
+
+test('cancelJob rejects a running task at once and frees its slot once the task settles', async () => {
+    pool.limit = 1;
+    const gate = deferred();
+    let aborted = false;
+    const running = runTask({ task: signal => { signal.addEventListener('abort', () => { aborted = true; }); return gate.promise; } });
+    const waiting = runTask({ task: async () => 'next' });
+
+    cancelJob(running);
+    await assert.rejects(running.promise, e => e.cancelled === true);
+    assert.equal(aborted, true);
+    assert.equal(pool.queue.length, 1);
+
+    gate.resolve();
+    assert.equal(await waiting.promise, 'next');
+});
+
+test('cancelJob drops a queued task without running it', async () => {
+    pool.limit = 1;
+    const gate = deferred();
+    const running = runTask({ task: () => gate.promise });
+    let ran = false;
+    const queued = runTask({ task: async () => { ran = true; } });
+
+    cancelJob(queued);
+    await assert.rejects(queued.promise, e => e.cancelled === true);
+    gate.resolve();
+    await running.promise;
+    assert.equal(ran, false);
+});
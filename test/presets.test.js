@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPresetValues, normalizePreset } from '../public/converter/core/index.js';
+import { entry } from './helpers.js';
+
+const preset = name => ({ name, type: 'audio', target: 'mp3', settings: { bitrate: '64k' } });
+
+test('normalizePreset keeps valid settings and drops the rest', () => {
+    assert.deepEqual(normalizePreset({ id: 'a1', name: ' Voice ', type: 'audio', target: 'mp3', settings: { bitrate: '64k', channels: '7', bogus: 1, size: 5 } }),
+        { id: 'a1', name: 'Voice', type: 'audio', target: 'mp3', settings: { bitrate: '64k', size: '5' } });
+});
+
+test('normalizePreset rejects unknown types and targets', () => {
+    assert.equal(normalizePreset({ name: 'x', type: 'text', target: 'mp3' }), null);
+    assert.equal(normalizePreset({ name: 'x', type: 'audio', target: 'mp4' }), null);
+});
+
+test('normalizePreset accepts plain-text names only', () => {
+    assert.equal(normalizePreset(preset("Tom's 8 MB & \"small\"")).name, "Tom's 8 MB & \"small\"");
+    assert.equal(normalizePreset(preset('<img src=x onerror=alert(1)>')), null);
+    assert.equal(normalizePreset(preset('line\nbreak')), null);
+    assert.equal(normalizePreset(preset('   ')), null);
+    assert.equal(normalizePreset(preset('x'.repeat(61))), null);
+    assert.equal(normalizePreset(preset(42)), null);
+});
+
+test('applyPresetValues only sets what the file can take', () => {
+    const silent = { container: 'mov', duration: 10, bitrate: null, streams: [{ index: 0, kind: 'video', codec: 'h264', width: 640, height: 360, fps: 25 }] };
+    const f = entry('video', { info: silent });
+    assert.deepEqual(applyPresetValues(f, { type: 'video', target: 'mp3', settings: { qual: 'high' } }), ['target']);
+    assert.equal(f.target, 'mp4');
+    assert.equal(f.settings.qual, 'high');
+});